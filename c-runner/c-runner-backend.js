@@ -9,6 +9,10 @@
  * - Error handling and security measures
  * - Support for multiple programming languages
  *
+ * Required environment:
+ * - SOCKET_SERVER_URL: base URL of the socket server, which relays runs to collaboration rooms
+ * - INTERNAL_API_TOKEN: secret shared with the socket server for its internal API
+ *
  * @author karanjha000
  * @version 1.0.0
  */
@@ -16,9 +20,12 @@
 // === Core Dependencies ===
 const express = require("express"); // Web server framework
 const fs = require("fs"); // File system operations
-const { exec } = require("child_process"); // Process execution
+const { spawn, spawnSync } = require("child_process"); // Process execution
+const { EventEmitter } = require("events");
+const { PassThrough } = require("stream");
 const path = require("path"); // Path manipulations
 const crypto = require("crypto"); // For secure random values
+const os = require("os"); // Signal numbers for exit-code decoding
 const cors = require("cors"); // Cross-origin resource sharing
 const { Server } = require("socket.io");
 const { createServer } = require("http");
@@ -31,7 +38,6 @@ if (!fs.existsSync(tempDir)) {
 
 // === Security Configuration ===
 const SECURITY_CONFIG = {
-  maxExecutionTime: 10000, // Maximum execution time (ms)
   maxFileSize: 1024 * 1024, // Maximum code file size (1MB)
   sandboxPath: path.join(__dirname, "sandbox"), // Not actively used for isolation in current exec impl
   permissions: {
@@ -41,12 +47,49 @@ const SECURITY_CONFIG = {
     java: ["java", "javac", "mvn"],
     cpp: ["g++"],
     c: ["gcc"],
+    go: ["go"],
+    rust: ["rustc"],
+    typescript: ["tsc", "node"],
+    ruby: ["ruby"],
+    kotlin: ["kotlinc", "java"],
   },
   timeouts: {
-    compilation: 5000, // Compilation timeout (ms)
-    execution: 3000, // Execution timeout (ms)
+    compilation: 5000, // Compilation timeout (ms); languages can override with compileTimeout
+    execution: 3000, // Execution timeout (ms) of every run, streamed or not; languages can override with runTimeout
     cleanup: 2000, // Cleanup timeout (ms)
     install: 60000, // Default package installation timeout
+    interactive: 5 * 60 * 1000, // Wall-clock limit for interactive stdin sessions (ms)
+    interactiveIdle: 30 * 1000, // Interactive runs stop after this long without new input (ms)
+    reclaim: 30 * 1000, // Streamed runs outlive their socket this long, so it can reconnect and run-attach (ms)
+    versionProbe: 30 * 1000, // Toolchain version commands; JVM and Kotlin cold starts take several seconds (ms)
+  },
+  // Per-run limits applied to user programs (not compilers) with prlimit/unshare on Linux
+  resourceLimits: {
+    enabled: process.platform === "linux" && process.env.SANDBOX_DISABLED !== "true",
+    cpuSeconds: 5, // RLIMIT_CPU soft limit (SIGXCPU); hard limit is one second later
+    memoryMb: 256, // RLIMIT_AS; languages can override in languageConfigs[lang].limits
+    maxProcesses: 64, // RLIMIT_NPROC, stops fork bombs
+    maxFileSizeMb: 10, // RLIMIT_FSIZE
+    maxOpenFiles: 64, // RLIMIT_NOFILE
+    isolateNetwork: true, // Run in a private network namespace (no interfaces but loopback)
+    // Optional unprivileged account to run programs as (requires the runner to start as root)
+    uid: process.env.SANDBOX_UID ? Number(process.env.SANDBOX_UID) : undefined,
+    gid: process.env.SANDBOX_GID ? Number(process.env.SANDBOX_GID) : undefined,
+  },
+  // Runner environment variables passed to compilers and programs (plus each step's own env);
+  // everything else stays out, so code cannot read secrets such as INTERNAL_API_TOKEN or ADMIN_TOKEN
+  childEnv: ["PATH", "HOME", "LANG", "LC_ALL", "TMPDIR"],
+  // Third-party imports: "allowlist" accepts only the provisioned packages of packages.json,
+  // "any" skips the check and leaves it to whatever the host has installed
+  dependencyPolicy: process.env.DEPENDENCY_POLICY === "any" ? "any" : "allowlist",
+  rateLimit: {
+    windowMs: 60000, // Length of a rate limit window
+    maxRequests: 30, // POST requests per client IP and window
+  },
+  queue: {
+    workers: Number(process.env.RUNNER_WORKERS) || 2, // Executions (compile + run) allowed at the same time
+    maxQueued: Number(process.env.RUNNER_MAX_QUEUED) || 50, // Waiting executions before new ones get a 503
+    jobRetentionMs: 10 * 60 * 1000, // How long finished /jobs results stay available
   },
 };
 
@@ -63,7 +106,7 @@ app.use(
             "https://collab-coding-app-socket-server.onrender.com",
             "http://localhost:3000"
           ],
-    methods: ["POST"],
+    methods: ["GET", "POST", "DELETE"],
   })
 );
 
@@ -86,18 +129,20 @@ app.use((req, res, next) => {
 // Rate limiting middleware (basic implementation)
 const requestCounts = new Map();
 app.use((req, res, next) => {
+  // Reads (languages, job status polling) don't start any process
+  if (req.method === "GET") return next();
+
   const ip = req.ip;
   const now = Date.now();
   const count = requestCounts.get(ip) || { count: 0, timestamp: now };
 
-  if (now - count.timestamp > 60000) {
-    // Reset after 1 minute
+  if (now - count.timestamp > SECURITY_CONFIG.rateLimit.windowMs) {
+    // Reset once the window is over
     count.count = 0;
     count.timestamp = now;
   }
 
-  if (count.count >= 30) {
-    // 30 requests per minute limit
+  if (count.count >= SECURITY_CONFIG.rateLimit.maxRequests) {
     return res
       .status(429)
       .json({ error: "Too many requests. Please try again later." });
@@ -136,50 +181,169 @@ const PYTHON_CMD = process.env.PYTHON_PATH || "python3";
  * for each supported programming language.
  *
  * Each language config includes:
+ * - Output parsers (see diagnosticParsers) that turn errors into editor diagnostics
+ * - Display metadata served by GET /languages (name, extension, Prism grammar)
+ * - A version step probed on first use (see probeVersion) and reported alongside the metadata
  * - Package installation commands
  * - Dependency detection logic
  * - Standard library identification
  * - Execution environment setup
- * - Compilation/Execution commands
- * - Timeouts
+ * - Compilation/Execution steps
+ * - Import parsers (see importParsers) checking third-party imports against packages.json
+ * - A step debugger adapter launched by debug sessions (debugStep, see startDebugSession)
+ * - Compiler options accepted in run requests (compilerOptions allowlist, see resolveCompilerOptions)
+ *   and the options forced by debug runs (debugCompilerOptions)
+ * - Timeouts (compileTimeout / runTimeout for toolchains slower than timeouts.compilation / timeouts.execution)
+ *
+ * Steps are { command, args, env } objects run with spawn and no shell, so file
+ * names and class names derived from user code always stay single arguments.
  */
 
 // Decide compiled binary extension based on platform
 const EXT = process.platform === "win32" ? "exe" : "out";
 
+// Compiler options schema of the gcc-based languages. Every option is an enum,
+// boolean or set of fixed values, so request text never reaches the command line.
+const gccCompilerOptions = (standards) => ({
+  std: { type: "enum", label: "Standard", values: standards, default: null }, // null: compiler default
+  optimization: { type: "enum", label: "Optimization", values: ["O0", "O1", "O2", "O3", "Os"], default: "O0" },
+  warnings: { type: "boolean", label: "Warnings (-Wall -Wextra)", default: false },
+  werror: { type: "boolean", label: "Warnings as errors", default: false },
+  sanitizers: { type: "set", label: "Sanitizers", values: ["address", "undefined"], default: [] },
+});
+
+// gcc/g++ flags for validated compiler options
+const gccFlags = (options) => {
+  const flags = [`-${options.optimization}`];
+  if (options.std) flags.push(`-std=${options.std}`);
+  if (options.warnings) flags.push("-Wall", "-Wextra");
+  if (options.werror) flags.push("-Werror");
+  if (options.sanitizers.length) {
+    // Stop at the first finding so it ends up as the run's crash report
+    flags.push(`-fsanitize=${options.sanitizers.join(",")}`, "-fno-sanitize-recover=all", "-g", "-fno-omit-frame-pointer");
+  }
+  return flags;
+};
+
+// Debug runs build with both sanitizers so crashes come with a report (see parseSanitizerReport)
+const gccDebugOptions = { optimization: "O0", sanitizers: ["address", "undefined"] };
+
+// AddressSanitizer maps terabytes of shadow memory and cannot start under RLIMIT_AS,
+// so its own RSS limit takes over. Leak checks are off since leaks are normal in contest code.
+const sanitizerRunLimits = (options) =>
+  options.sanitizers.includes("address") ? { memoryMb: null } : {};
+const sanitizerEnv = (options) => {
+  const env = {};
+  if (options.sanitizers.includes("address")) {
+    // The shadow byte legend is noise in a terminal and would push the stack out of stderr tails;
+    // interactive runs preload stdbuf's library ahead of the ASan runtime, which is harmless
+    env.ASAN_OPTIONS = `hard_rss_limit_mb=${SECURITY_CONFIG.resourceLimits.memoryMb}:detect_leaks=0:print_legend=0:verify_asan_link_order=0`;
+  }
+  if (options.sanitizers.includes("undefined")) env.UBSAN_OPTIONS = "print_stacktrace=1";
+  return env;
+};
+
+// Go build cache shared by all requests (outside tempDir, which is per-request scratch space)
+const GO_CACHE_DIR = process.env.GOCACHE || path.join(os.tmpdir(), "c-runner-go-cache");
+
+// Allowlisted third-party packages (packages.json), installed ahead of time by provision-packages.js
+const PACKAGES_DIR = process.env.PACKAGES_DIR || path.join(__dirname, "packages");
+const PYTHON_PACKAGES_DIR = path.join(PACKAGES_DIR, "python");
+const NODE_PACKAGES_DIR = path.join(PACKAGES_DIR, "node", "node_modules");
+
+// One BLAS thread: numpy's default pool reserves more address space than the memory limit allows
+const PYTHON_ENV = { PYTHONPATH: PYTHON_PACKAGES_DIR, OPENBLAS_NUM_THREADS: "1" };
+const NODE_ENV = { NODE_PATH: NODE_PACKAGES_DIR };
+
+// Step debugger adapters; both take the sandbox directory and the entry file
+const PYTHON_DEBUGGER = path.join(__dirname, "debugger.py");
+const NODE_DEBUGGER = path.join(__dirname, "debugger.js");
+
 const languageConfigs = {
   cpp: {
-    compileCommand: (filename, sandboxDir) => {
-      const outputExe = path.join(sandboxDir, `program.${EXT}`);
-      return `g++ "${filename}" -o "${outputExe}"`;
-    },
-    runCommand: (filename, sandboxDir) => {
-      const outputExe = path.join(sandboxDir, `program.${EXT}`);
-      return `"${outputExe}"`;
-    },
+    name: "C++",
+    extension: "cpp",
+    prism: "cpp",
+    versionStep: { command: "g++", args: ["--version"] },
+    diagnostics: ["gcc", "sanitizer"],
+    compilerOptions: gccCompilerOptions(["c++11", "c++14", "c++17", "c++20"]),
+    compileStep: (filename, sandboxDir, sourceFiles, options) => ({
+      command: "g++",
+      args: [...gccFlags(options), ...sourceFiles, "-o", path.join(sandboxDir, `program.${EXT}`), "-pthread"],
+    }),
+    runStep: (filename, sandboxDir, options) => ({
+      command: path.join(sandboxDir, `program.${EXT}`),
+      args: [],
+      env: sanitizerEnv(options),
+    }),
+    runLimits: sanitizerRunLimits,
+    debugCompilerOptions: gccDebugOptions,
   },
   c: {
-    compileCommand: (filename, sandboxDir) => {
-      const outputExe = path.join(sandboxDir, `program.${EXT}`);
-      return `gcc "${filename}" -o "${outputExe}"`;
-    },
-    runCommand: (filename, sandboxDir) => {
-      const outputExe = path.join(sandboxDir, `program.${EXT}`);
-      return `"${outputExe}"`;
-    },
+    name: "C",
+    extension: "c",
+    prism: "c",
+    versionStep: { command: "gcc", args: ["--version"] },
+    diagnostics: ["gcc", "sanitizer"],
+    compilerOptions: gccCompilerOptions(["c99", "c11", "c17"]),
+    compileStep: (filename, sandboxDir, sourceFiles, options) => ({
+      command: "gcc",
+      args: [...gccFlags(options), ...sourceFiles, "-o", path.join(sandboxDir, `program.${EXT}`), "-lm"],
+    }),
+    runStep: (filename, sandboxDir, options) => ({
+      command: path.join(sandboxDir, `program.${EXT}`),
+      args: [],
+      env: sanitizerEnv(options),
+    }),
+    runLimits: sanitizerRunLimits,
+    debugCompilerOptions: gccDebugOptions,
   },
   python: {
-    runCommand: (filename) => `${PYTHON_CMD} "${filename}"`,
+    name: "Python",
+    extension: "py",
+    prism: "python",
+    versionStep: { command: PYTHON_CMD, args: ["--version"] },
+    diagnostics: ["python"],
+    imports: { parser: "python", dir: PYTHON_PACKAGES_DIR },
+    runStep: (filename) => ({ command: PYTHON_CMD, args: [filename], env: PYTHON_ENV }),
+    debugStep: (filename, sandboxDir) => ({
+      command: PYTHON_CMD,
+      args: [PYTHON_DEBUGGER, sandboxDir, filename],
+      env: PYTHON_ENV,
+    }),
   },
   javascript: {
-    runCommand: (filename) => `node "${filename}"`,
+    name: "JavaScript",
+    extension: "js",
+    prism: "javascript",
+    versionStep: { command: "node", args: ["--version"] },
+    diagnostics: ["node"],
+    imports: { parser: "javascript", dir: NODE_PACKAGES_DIR },
+    runStep: (filename) => ({ command: "node", args: [filename], env: NODE_ENV }),
+    debugStep: (filename, sandboxDir) => ({ command: "node", args: [NODE_DEBUGGER, sandboxDir, filename], env: NODE_ENV }),
+    limits: { memoryMb: 1024 }, // V8 reserves far more address space than it uses
   },
   java: {
-    compileCommand: (filename, sandboxDir) => `javac "${filename}"`,
-    runCommand: (filename, sandboxDir) => {
-      const className = path.basename(filename, ".java");
-      return `java -cp "${sandboxDir}" ${className}`;
+    name: "Java",
+    extension: "java",
+    prism: "java",
+    versionStep: { command: "java", args: ["-version"] }, // Prints to stderr
+    diagnostics: ["javac"],
+    compileStep: (filename, sandboxDir, sourceFiles) => ({ command: "javac", args: sourceFiles }),
+    runStep: (filename, sandboxDir) => {
+      // Entry file path inside the sandbox maps to its fully qualified class name
+      const className = path
+        .relative(sandboxDir, filename)
+        .replace(/\.java$/, "")
+        .split(path.sep)
+        .join(".");
+      return {
+        command: "java",
+        args: [`-Xmx${SECURITY_CONFIG.resourceLimits.memoryMb}m`, "-cp", sandboxDir, className],
+      };
     },
+    limits: { memoryMb: null }, // The JVM cannot start under RLIMIT_AS; the heap is capped with -Xmx instead
+    runTimeout: 5000, // JVM startup counts against the limit
     detectClassName: (code) => {
       // Prefer a public class
       let match = code.match(/public\s+class\s+(\w+)/);
@@ -193,6 +357,89 @@ const languageConfigs = {
       return "Main";
     },
   },
+  go: {
+    name: "Go",
+    extension: "go",
+    prism: "go",
+    versionStep: { command: "go", args: ["version"] },
+    diagnostics: ["gcc"],
+    compileTimeout: 30000, // The first build after a deploy compiles the standard library
+    compileStep: (filename, sandboxDir, sourceFiles) => ({
+      command: "go",
+      args: ["build", "-o", path.join(sandboxDir, `program.${EXT}`), ...sourceFiles],
+      // Share the build cache across requests so later builds reuse the compiled standard library
+      env: { GOCACHE: GO_CACHE_DIR, GO111MODULE: "off" },
+    }),
+    compileDirs: [GO_CACHE_DIR], // Written outside the sandbox, so containers must bind it
+    runStep: (filename, sandboxDir) => ({ command: path.join(sandboxDir, `program.${EXT}`), args: [] }),
+    limits: { memoryMb: 1024 }, // The Go runtime reserves ~600 MB of address space at startup
+  },
+  rust: {
+    name: "Rust",
+    extension: "rs",
+    prism: "rust",
+    versionStep: { command: "rustc", args: ["--version"] },
+    diagnostics: ["rustc"],
+    compileTimeout: 15000,
+    compileStep: (filename, sandboxDir) => ({
+      command: "rustc",
+      args: ["--edition", "2021", "-O", filename, "-o", path.join(sandboxDir, `program.${EXT}`)],
+    }),
+    runStep: (filename, sandboxDir) => ({ command: path.join(sandboxDir, `program.${EXT}`), args: [] }),
+  },
+  typescript: {
+    name: "TypeScript",
+    extension: "ts",
+    prism: "typescript",
+    versionStep: { command: "tsc", args: ["--version"] },
+    diagnostics: ["tsc", "node"],
+    compileTimeout: 15000,
+    // Emit each .js next to its .ts so relative imports keep working
+    compileStep: (filename, sandboxDir, sourceFiles) => ({
+      command: "tsc",
+      args: [
+        "--target",
+        "es2020",
+        "--module",
+        "commonjs",
+        "--skipLibCheck",
+        "--rootDir",
+        sandboxDir,
+        "--outDir",
+        sandboxDir,
+        ...sourceFiles,
+      ],
+    }),
+    runStep: (filename) => ({ command: "node", args: [filename.replace(/\.ts$/, ".js")] }),
+    limits: { memoryMb: 1024 }, // Runs on V8, see javascript
+  },
+  ruby: {
+    name: "Ruby",
+    extension: "rb",
+    prism: "ruby",
+    versionStep: { command: "ruby", args: ["--version"] },
+    diagnostics: ["ruby"],
+    runStep: (filename) => ({ command: "ruby", args: [filename] }),
+    limits: { memoryMb: 1024 }, // YJIT reserves its code region up front
+  },
+  kotlin: {
+    name: "Kotlin",
+    extension: "kt",
+    prism: "kotlin",
+    versionStep: { command: "kotlinc", args: ["-version"] }, // Prints to stderr
+    diagnostics: ["gcc"],
+    compileTimeout: 60000, // kotlinc pays JVM startup plus a slow frontend on every build
+    compileStep: (filename, sandboxDir, sourceFiles) => ({
+      command: "kotlinc",
+      args: [...sourceFiles, "-include-runtime", "-d", path.join(sandboxDir, "program.jar")],
+    }),
+    runStep: (filename, sandboxDir) => ({
+      command: "java",
+      args: [`-Xmx${SECURITY_CONFIG.resourceLimits.memoryMb}m`, "-jar", path.join(sandboxDir, "program.jar")],
+    }),
+    limits: { memoryMb: null }, // Runs on the JVM, see java
+    runTimeout: 5000,
+  },
 };
 
 
@@ -213,6 +460,341 @@ function createTempDir() {
   return dir;
 }
 
+// Probe once whether unprivileged network namespaces are available on this host
+const NETWORK_ISOLATION_AVAILABLE =
+  SECURITY_CONFIG.resourceLimits.enabled &&
+  SECURITY_CONFIG.resourceLimits.isolateNetwork &&
+  spawnSync("unshare", ["-rn", "true"], { stdio: "ignore" }).status === 0;
+
+if (
+  SECURITY_CONFIG.resourceLimits.enabled &&
+  SECURITY_CONFIG.resourceLimits.isolateNetwork &&
+  !NETWORK_ISOLATION_AVAILABLE
+) {
+  console.warn("unshare -rn is unavailable; user programs will run with network access.");
+}
+
+// --- Executors ---
+// An executor decides how the runner's steps become processes. Everything
+// above it (compile cache, limits, verdicts, streaming, debugging) is shared:
+// - local: processes on the host, isolated with prlimit and unshare
+// - container: each program (and compiler) in a rootless bubblewrap container
+//   that sees the host read-only, its own sandbox and nothing else
+// - mock: no processes at all; a responder function answers every step (tests)
+// Chosen with RUNNER_EXECUTOR (default local).
+
+/**
+ * Step that runs another step inside a rootless bubblewrap container
+ *
+ * @function containerStep
+ * @param {Object} step - { command, args, env } step to contain
+ * @param {string} sandboxDir - Per-request sandbox directory, the only writable path
+ * @param {string[]} [writableDirs=[]] - Extra host directories the step may write to
+ * @returns {Object} bwrap step
+ */
+function containerStep(step, sandboxDir, writableDirs = []) {
+  writableDirs.forEach((dir) => fs.mkdirSync(dir, { recursive: true }));
+  // Installed packages may live under /tmp, which the container replaces
+  const packageBinds = fs.existsSync(PACKAGES_DIR) ? ["--ro-bind", PACKAGES_DIR, PACKAGES_DIR] : [];
+  return {
+    command: "bwrap",
+    args: [
+      "--ro-bind", "/", "/", // Toolchains and libraries, read-only
+      "--dev", "/dev",
+      "--proc", "/proc",
+      "--tmpfs", "/tmp",
+      "--tmpfs", tempDir, // Hide the other requests' sandboxes
+      ...packageBinds,
+      "--bind", sandboxDir, sandboxDir,
+      ...writableDirs.flatMap((dir) => ["--bind", dir, dir]),
+      "--unshare-all", // Own user, PID, IPC, UTS and network namespaces
+      "--die-with-parent",
+      "--new-session",
+      "--chdir", sandboxDir,
+      "--",
+      step.command,
+      ...step.args,
+    ],
+    env: step.env,
+  };
+}
+
+/**
+ * Kills a process and everything it started (it must have been spawned detached)
+ *
+ * @function killProcessGroup
+ * @param {Object} child - Child process
+ */
+function killProcessGroup(child) {
+  try {
+    process.kill(-child.pid, "SIGKILL");
+  } catch (err) {
+    // Process already exited
+  }
+}
+
+/**
+ * Allowlisted runner variables for child processes
+ *
+ * @function childEnvironment
+ * @returns {Object<string, string>} The SECURITY_CONFIG.childEnv variables that are set
+ */
+function childEnvironment() {
+  return Object.fromEntries(
+    SECURITY_CONFIG.childEnv.filter((name) => process.env[name] !== undefined).map((name) => [name, process.env[name]])
+  );
+}
+
+/**
+ * Spawns a step's argv with the step's variables added to the allowlisted part of the
+ * runner's environment (SECURITY_CONFIG.childEnv)
+ *
+ * @function spawnStep
+ * @param {Object} step - { command, args, env } step
+ * @param {Object} [options={}] - spawn options (cwd, detached, stdio, uid, gid)
+ * @returns {ChildProcess} Child process
+ */
+function spawnStep(step, options = {}) {
+  return spawn(step.command, step.args, {
+    ...options,
+    env: { ...childEnvironment(), ...(step.env || {}) },
+  });
+}
+
+/**
+ * Creates an executor that never starts a process
+ *
+ * Every spawn is answered by `executor.respond(step, { cwd, input })`, which
+ * returns (or resolves to) { stdout, stderr, exitCode, signal, delayMs }; the
+ * reply is produced once stdin ends. Compile steps are tagged with
+ * `phase: "compile"` so a responder can tell them from runs. The default
+ * responder succeeds without output.
+ *
+ * @function createMockExecutor
+ * @param {Function} [respond] - Responder
+ * @returns {Object} Executor; `respond` can be replaced later
+ */
+function createMockExecutor(respond = () => ({})) {
+  const executor = {
+    name: "mock",
+    respond,
+    available: () => true,
+    isolateProgram: (step) => step,
+    isolateCompile: (step) => ({ ...step, phase: "compile" }),
+    kill: (child) => child.kill("SIGKILL"),
+    spawn: (step, options = {}) => {
+      const child = new EventEmitter();
+      child.stdin = new PassThrough();
+      child.stdout = new PassThrough();
+      child.stderr = new PassThrough();
+      // Debug sessions ask for an extra channel on fd 3
+      const extra = options.stdio && options.stdio.length > 3 ? [new PassThrough()] : [];
+      child.stdio = [child.stdin, child.stdout, child.stderr, ...extra];
+      child.exitCode = null;
+      child.signalCode = null;
+
+      let timer = null;
+      const exited = () => child.exitCode !== null || child.signalCode !== null;
+      const finish = (code, signal) => {
+        if (exited()) return;
+        clearTimeout(timer);
+        child.exitCode = signal ? null : code;
+        child.signalCode = signal;
+        child.stdout.end();
+        child.stderr.end();
+        child.emit("exit", child.exitCode, signal);
+        setImmediate(() => child.emit("close", child.exitCode, signal));
+      };
+      child.kill = (signal = "SIGTERM") => {
+        finish(null, signal);
+        return true;
+      };
+
+      let input = "";
+      child.stdin.on("data", (chunk) => (input += chunk.toString()));
+      child.stdin.on("finish", async () => {
+        const reply = (await executor.respond(step, { cwd: options.cwd, input })) || {};
+        timer = setTimeout(() => {
+          if (exited()) return;
+          if (reply.stdout) child.stdout.write(reply.stdout);
+          if (reply.stderr) child.stderr.write(reply.stderr);
+          finish(reply.exitCode === undefined ? 0 : reply.exitCode, reply.signal || null);
+        }, reply.delayMs || 0);
+      });
+      return child;
+    },
+  };
+  return executor;
+}
+
+let containerAvailable = null;
+
+/**
+ * Executor backends
+ * Each provides:
+ * - available(): whether it can run on this host
+ * - spawn(step, options): starts a step, returning a ChildProcess (or look-alike)
+ * - kill(child): stops a detached child and everything it started
+ * - isolateProgram(step, sandboxDir): isolation for user programs (inside the resource limits)
+ * - isolateCompile(step, sandboxDir, writableDirs): isolation for compilers
+ */
+const executors = {
+  local: {
+    name: "local",
+    available: () => true,
+    spawn: spawnStep,
+    kill: killProcessGroup,
+    isolateProgram: (step) =>
+      NETWORK_ISOLATION_AVAILABLE
+        ? { command: "unshare", args: ["-rn", step.command, ...step.args], env: step.env }
+        : step,
+    isolateCompile: (step) => step,
+  },
+  container: {
+    name: "container",
+    available: () => {
+      if (containerAvailable === null) {
+        containerAvailable =
+          spawnSync("bwrap", ["--ro-bind", "/", "/", "--unshare-all", "true"], { stdio: "ignore" }).status === 0;
+      }
+      return containerAvailable;
+    },
+    spawn: spawnStep,
+    kill: killProcessGroup,
+    isolateProgram: (step, sandboxDir) => containerStep(step, sandboxDir),
+    isolateCompile: (step, sandboxDir, writableDirs) => containerStep(step, sandboxDir, writableDirs),
+  },
+  mock: createMockExecutor(),
+};
+
+let activeExecutor = executors.local;
+
+/**
+ * Selects the executor every later step goes through
+ *
+ * @function selectExecutor
+ * @param {string|Object} executor - Name in executors, or an executor object (e.g. createMockExecutor())
+ * @returns {Object} The selected executor
+ */
+function selectExecutor(executor) {
+  const selected = typeof executor === "string" ? executors[executor] : executor;
+  if (!selected) {
+    throw new Error(`Unknown executor "${executor}" (expected one of: ${Object.keys(executors).join(", ")})`);
+  }
+  activeExecutor = selected;
+  return selected;
+}
+
+selectExecutor(process.env.RUNNER_EXECUTOR || "local");
+
+/**
+ * Wraps a run step so it executes under the configured resource limits
+ *
+ * @function sandboxStep
+ * @param {Object} step - { command, args, env } step that runs the user program
+ * @param {string} language - Programming language (for per-language limit overrides)
+ * @param {string} sandboxDir - Per-request sandbox directory
+ * @param {Object} [overrides={}] - Limit overrides of this run (e.g. from runLimits)
+ * @returns {Object} Step run through prlimit and the active executor's isolation
+ */
+function sandboxStep(step, language, sandboxDir, overrides = {}) {
+  const limits = {
+    ...SECURITY_CONFIG.resourceLimits,
+    ...(languageConfigs[language].limits || {}),
+    ...overrides,
+  };
+  const isolated = activeExecutor.isolateProgram(step, sandboxDir);
+  if (!limits.enabled) {
+    return isolated;
+  }
+
+  const flags = [
+    `--cpu=${limits.cpuSeconds}:${limits.cpuSeconds + 1}`,
+    `--nproc=${limits.maxProcesses}`,
+    `--fsize=${limits.maxFileSizeMb * 1024 * 1024}`,
+    `--nofile=${limits.maxOpenFiles}`,
+  ];
+  if (limits.memoryMb) {
+    flags.push(`--as=${limits.memoryMb * 1024 * 1024}`);
+  }
+
+  return {
+    command: "prlimit",
+    args: [...flags, isolated.command, ...isolated.args],
+    env: step.env,
+  };
+}
+
+/**
+ * Sandboxed step that runs a compiled (or interpreted) program
+ *
+ * @function programStep
+ * @param {string} language - Programming language identifier
+ * @param {string} filename - Source file path returned by compileCode
+ * @param {string} sandboxDir - Per-request sandbox directory
+ * @param {Object|null} compilerOptions - Options the program was built with
+ * @returns {Object} Run step wrapped by sandboxStep
+ */
+function programStep(language, filename, sandboxDir, compilerOptions) {
+  const config = languageConfigs[language];
+  const overrides = config.runLimits ? config.runLimits(compilerOptions) : {};
+  return sandboxStep(config.runStep(filename, sandboxDir, compilerOptions), language, sandboxDir, overrides);
+}
+
+/**
+ * Process options (uid/gid) that drop privileges for user programs when configured
+ *
+ * @function sandboxProcessOptions
+ * @returns {Object} Options merged into exec/spawn options
+ */
+function sandboxProcessOptions() {
+  const { enabled, uid, gid } = SECURITY_CONFIG.resourceLimits;
+  if (!enabled) return {};
+  const options = {};
+  if (uid !== undefined) options.uid = uid;
+  if (gid !== undefined) options.gid = gid;
+  return options;
+}
+
+/**
+ * Decodes which resource limit (if any) a failed run breached
+ *
+ * A shell that does not exec its last command reports a fatal signal as
+ * exit code 128 + signal number, so both forms are checked.
+ *
+ * @function classifyRunFailure
+ * @param {Object} failure - Failure details
+ * @param {number|null} [failure.exitCode] - Exit code
+ * @param {string|null} [failure.signal] - Terminating signal
+ * @param {string} [failure.stderr] - Program stderr
+ * @param {boolean} [failure.timedOut] - Wall-clock timeout hit
+ * @param {boolean} [failure.truncated] - Output limit hit
+ * @returns {string} Verdict name
+ */
+function classifyRunFailure({ exitCode, signal, stderr = "", timedOut, truncated }) {
+  const signalFromCode = Object.keys(os.constants.signals).find(
+    (name) => typeof exitCode === "number" && exitCode === 128 + os.constants.signals[name]
+  );
+  const fatalSignal = signal || signalFromCode;
+
+  if (timedOut || fatalSignal === "SIGXCPU") return "Time Limit Exceeded";
+  if (truncated || fatalSignal === "SIGXFSZ" || /File too large/.test(stderr)) {
+    return "Output Limit Exceeded";
+  }
+  if (
+    /MemoryError|std::bad_alloc|OutOfMemoryError|out of memory|Cannot allocate memory|memory allocation of \d+ bytes failed|hard rss limit exhausted/i.test(
+      stderr
+    )
+  ) {
+    return "Memory Limit Exceeded";
+  }
+  if (/Resource temporarily unavailable|BlockingIOError|unable to create native thread/.test(stderr)) {
+    return "Process Limit Exceeded";
+  }
+  if (/Too many open files/.test(stderr)) return "Open File Limit Exceeded";
+  return "Runtime Error";
+}
+
 // Helper function to cleanup temporary files
 /*
 * async function cleanup(files) {
@@ -243,306 +825,3692 @@ function createTempDir() {
 */
 
 // Helper function to execute code with timeout
-function executeWithTimeout(command, timeout, input = "") {
+/**
+ * Runs a step with a timeout and captures its outcome
+ *
+ * The step is spawned from its argv without a shell, so no part of it is ever
+ * parsed as shell syntax. Never rejects because the command failed; a non-zero
+ * exit, a signal or a timeout are reported in the result so callers can build
+ * a verdict from it.
+ *
+ * @function executeWithTimeout
+ * @param {Object} step - Step to execute
+ * @param {string} step.command - Executable
+ * @param {string[]} step.args - Arguments, passed as-is
+ * @param {Object} [step.env] - Variables added to the allowlisted runner environment (see spawnStep)
+ * @param {number} timeout - Wall-clock limit (ms)
+ * @param {string} [input=""] - Data written to stdin
+ * @param {Object} [options={}] - Extra spawn options (cwd, uid, gid, signal to cancel), plus
+ *   outputLimit: characters of stdout/stderr kept before they are cut off (default 5000)
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number|null, signal: string|null,
+ *   timedOut: boolean, truncated: boolean, durationMs: number}>} Process result
+ */
+function executeWithTimeout(step, timeout, input = "", options = {}) {
+  // spawn's own `signal` option reports an AbortError instead of the exit, so
+  // cancellation is wired by hand to go through the same path as a timeout
+  const { signal, outputLimit = 5000, ...spawnOptions } = options;
+  const MAX_BUFFER = 10 * 1024 * 1024;
+  const STDIO_DRAIN_MS = 500; // Wait for output after the process exited
+  const KILL_GRACE_MS = 2000; // Give up on a killed process that never reports back
   return new Promise((resolve, reject) => {
-    const child = exec(command, { timeout, killSignal: "SIGTERM", maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-      // Trim very large outputs
-      const MAX_OUTPUT = 5000;
-      if (stdout && stdout.length > MAX_OUTPUT) {
-        stdout = stdout.slice(0, MAX_OUTPUT) + "\n...output truncated...";
-      }
-      if (stderr && stderr.length > MAX_OUTPUT) {
-        stderr = stderr.slice(0, MAX_OUTPUT) + "\n...error output truncated...";
-      }
+    const start = Date.now();
+    // Run detached so the process group (including anything it forks) can be killed as a unit
+    const child = activeExecutor.spawn(step, { ...spawnOptions, detached: true });
 
-      if (error) {
-        // Pass back BOTH stderr + stdout so compiler/runtime errors are visible
-        reject({ stdout, stderr, message: error.message });
-      } else {
-        resolve(stdout || stderr);
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let overflowed = false;
+    let spawnError = null;
+    let settled = false;
+    let drainTimer = null;
+
+    const stop = () => activeExecutor.kill(child);
+    const collect = (append) => (chunk) => {
+      if (overflowed) return;
+      append(chunk.toString());
+      if (stdout.length + stderr.length > MAX_BUFFER) {
+        overflowed = true;
+        stop();
       }
-    });
+    };
+    child.stdout.on("data", collect((text) => (stdout += text)));
+    child.stderr.on("data", collect((text) => (stderr += text)));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      metrics.timeouts.inc();
+      stop();
+    }, timeout);
+    // Last resort for a process that does not exit even after being killed
+    const deadline = setTimeout(() => finish(null, "SIGKILL"), timeout + KILL_GRACE_MS);
 
-    if (input) {
-      child.stdin.write(input);
-      child.stdin.end();
+    const onAbort = () => stop();
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
     }
 
-    // Optional: Debug process exit
-    child.on("exit", (code, signal) => {
-      if (signal === "SIGTERM") {
-        console.log(`Command terminated by timeout: ${command}`);
+    // e.g. ENOENT when the compiler or interpreter is not installed
+    child.on("error", (err) => {
+      spawnError = err;
+    });
+
+    const finish = (code, exitSignal) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(deadline);
+      clearTimeout(drainTimer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      // Trim very large outputs
+      let truncated = overflowed;
+      if (spawnError) {
+        stderr += `${step.command}: ${spawnError.message}`;
+      }
+      if (stdout.length > outputLimit) {
+        stdout = stdout.slice(0, outputLimit) + "\n...output truncated...";
+        truncated = true;
       }
+      if (stderr.length > outputLimit) {
+        stderr = stderr.slice(0, outputLimit) + "\n...error output truncated...";
+        truncated = true;
+      }
+
+      // Pass back BOTH stderr + stdout so compiler/runtime errors are visible
+      resolve({
+        stdout,
+        stderr,
+        exitCode: spawnError ? 127 : code,
+        signal: exitSignal || null,
+        // Only a timeout counts; cancellation and output overflow also stop the process
+        timedOut: timedOut && !overflowed && !(signal && signal.aborted),
+        truncated,
+        durationMs: Date.now() - start,
+      });
+    };
+
+    // A process the step forked can keep stdout/stderr open after the step itself exited, so
+    // the exit is reported once the pipes close or shortly after, stopping whatever is left
+    child.on("exit", (code, exitSignal) => {
+      drainTimer = setTimeout(() => {
+        stop();
+        child.stdout.destroy();
+        child.stderr.destroy();
+        finish(code, exitSignal);
+      }, STDIO_DRAIN_MS);
     });
+    child.on("close", finish);
+
+    try {
+      if (input) child.stdin.write(input);
+    } catch (err) {
+      // e.g. input that is not a string: stop the process instead of leaving it to its time limit
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(deadline);
+      stop();
+      reject(err);
+      return;
+    }
+    // Close stdin so programs reading past the provided input see EOF instead of hanging
+    child.stdin.on("error", () => {}); // Program may exit before reading its input
+    child.stdin.end();
   });
 }
 
+/**
+ * Checks whether a process result describes a clean exit
+ *
+ * @function succeeded
+ * @param {Object} result - Result from executeWithTimeout
+ * @returns {boolean} True for exit code 0 without signal or timeout
+ */
+function succeeded(result) {
+  return result.exitCode === 0 && !result.signal && !result.timedOut;
+}
 
+// Resource usage wrapper (see measure.py); needs fork/wait4, so POSIX only
+const MEASURE_SCRIPT = path.join(__dirname, "measure.py");
+const MEASURE_AVAILABLE =
+  process.platform !== "win32" &&
+  spawnSync(PYTHON_CMD, ["--version"], { stdio: "ignore" }).status === 0;
 
 /**
- * Executes code in a specified programming language with safety measures
+ * Wraps a run step so its peak memory and CPU time are recorded
  *
- * @async
- * @function executeCode
- * @param {string} language - Programming language (python, javascript, java, cpp, c)
- * @param {string} code - Source code to execute (might not be directly used, but for context)
- * @param {string} filename - Name of the file to create and execute
- * @param {string} [outputExe=null] - Optional output executable name for compiled languages
- * @returns {Promise<string>} Execution result containing output
- * @throws {Error} If execution fails, times out, or language is not supported
+ * @function measureStep
+ * @param {Object} step - { command, args, env } step running the user program
+ * @param {string} usageFile - Where measure.py writes the usage JSON
+ * @returns {Object} Wrapped step (unchanged when measuring is unavailable)
  */
-async function executeCode(language, code, sandboxDir) {
-  const config = languageConfigs[language];
-  if (!config) {
-    throw new Error(`Unsupported language: ${language}`);
-  }
-
-  // pick file extension for source file
-  let filename = path.join(
-    sandboxDir,
-    `main.${language === "cpp" ? "cpp" 
-          : language === "c" ? "c" 
-          : language === "java" ? "java" 
-          : language === "javascript" ? "js" 
-          : "py"}`
-  );
+function measureStep(step, usageFile) {
+  if (!MEASURE_AVAILABLE) return step;
+  return {
+    command: PYTHON_CMD,
+    args: [MEASURE_SCRIPT, usageFile, step.command, ...step.args],
+    env: step.env,
+  };
+}
 
-  // write source file
-  fs.writeFileSync(filename, code, { mode: 0o644 });
+/**
+ * Reads and removes the usage file written by measure.py
+ *
+ * @function readUsage
+ * @param {string} usageFile - Path passed to measureStep
+ * @returns {{maxRssKb: number, userTimeMs: number, sysTimeMs: number}|null} Usage, or null if unavailable
+ */
+function readUsage(usageFile) {
+  try {
+    const usage = JSON.parse(fs.readFileSync(usageFile, "utf8"));
+    fs.rmSync(usageFile, { force: true });
+    return usage;
+  } catch (err) {
+    // Not measured, or the process was killed before it could report
+    return null;
+  }
+}
 
-  // Special handling for Java
-  if (language === "java") {
-    let className = config.detectClassName(code);
+/**
+ * Usage file location for a sandbox; kept beside it rather than inside so the
+ * program cannot overwrite it from its working directory
+ *
+ * @function usageFileFor
+ * @param {string} sandboxDir - Per-request sandbox directory
+ * @returns {string} Usage file path
+ */
+function usageFileFor(sandboxDir) {
+  return `${sandboxDir}.usage-${crypto.randomBytes(4).toString("hex")}.json`;
+}
 
-    // If no class name detected → force "Main"
-    if (!className) {
-      className = "Main";
-    }
 
-    const javaFile = path.join(sandboxDir, `${className}.java`);
 
-    // Rename file so javac can compile it properly
-    fs.renameSync(filename, javaFile);
-    filename = javaFile;
-  }
+// --- Execution Queue ---
+// Executions waiting for a worker: [{ grant, onPosition }]
+const waitingExecutions = [];
+let activeWorkers = 0;
 
-  // compile if needed
-  if (config.compileCommand) {
-    const compileCmd = config.compileCommand(filename, sandboxDir);
-    await executeWithTimeout(compileCmd, SECURITY_CONFIG.timeouts.compilation);
-  }
+/**
+ * Creates the error used when an execution is cancelled (client gone, job deleted, run killed)
+ *
+ * @function cancellationError
+ * @returns {Error} Error with code "ABORT_ERR"
+ */
+function cancellationError() {
+  const error = new Error("Execution was cancelled");
+  error.code = "ABORT_ERR";
+  return error;
+}
 
-  // run program
-  const runCmd = config.runCommand(filename, sandboxDir);
-  return await executeWithTimeout(runCmd, SECURITY_CONFIG.timeouts.execution);
+/**
+ * Whether a new execution would be rejected because the queue is at capacity
+ *
+ * @function isQueueFull
+ * @returns {boolean}
+ */
+function isQueueFull() {
+  return (
+    activeWorkers >= SECURITY_CONFIG.queue.workers &&
+    waitingExecutions.length >= SECURITY_CONFIG.queue.maxQueued
+  );
 }
 
+// Tell every waiting execution its (1-based) place in line
+function notifyQueuePositions() {
+  waitingExecutions.forEach((waiter, index) => waiter.onPosition && waiter.onPosition(index + 1));
+}
 
+// Hand free workers to the longest-waiting executions
+function dispatchQueue() {
+  let dispatched = false;
+  while (activeWorkers < SECURITY_CONFIG.queue.workers && waitingExecutions.length > 0) {
+    activeWorkers++;
+    waitingExecutions.shift().grant();
+    dispatched = true;
+  }
+  if (dispatched) notifyQueuePositions();
+}
 
 /**
- * Generic handler for code execution across all supported languages
+ * Waits for a free execution worker
+ *
+ * Every compile/run goes through here so at most `queue.workers` executions
+ * run at once; the rest wait in FIFO order.
  *
  * @async
- * @function handleCodeExecution
- * @param {string} language - Programming language identifier (python, javascript, java, cpp, c)
- * @param {string} code - Source code to execute
- * @param {Object} res - Express response object for sending results
- * @returns {Promise<void>} Sends execution results through response object
+ * @function acquireWorker
+ * @param {Object} [options={}]
+ * @param {Function} [options.onPosition] - Called with the queue position while waiting
+ * @param {Function} [options.onStart] - Called as soon as a worker is assigned
+ * @param {AbortSignal} [options.signal] - Aborting removes the execution from the queue
+ * @returns {Promise<Function>} Resolves with a release function once a worker is free
+ * @throws {Error} code "QUEUE_FULL" if the queue is at capacity, "ABORT_ERR" if aborted while waiting
  */
-async function handleCodeExecution(language, code, res, input = "") {
-  if (!code) {
-    return res.status(400).json({ error: "No code provided" });
+function acquireWorker({ onPosition, onStart, signal } = {}) {
+  if (signal && signal.aborted) return Promise.reject(cancellationError());
+
+  const requestedAt = Date.now();
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    activeWorkers--;
+    dispatchQueue();
+  };
+
+  if (activeWorkers < SECURITY_CONFIG.queue.workers && waitingExecutions.length === 0) {
+    activeWorkers++;
+    metrics.queueWait.observe({}, 0);
+    if (onStart) onStart();
+    return Promise.resolve(release);
+  }
+  if (isQueueFull()) {
+    const error = new Error("The runner is busy, please try again shortly");
+    error.code = "QUEUE_FULL";
+    return Promise.reject(error);
   }
 
-  const sandboxDir = createTempDir();
-  try {
-    const output = await executeCode(language, code, sandboxDir, input);
-    res.json({ output });
-  } catch (error) {
-    console.error(`Execution error for ${language}:`, error);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const index = waitingExecutions.indexOf(waiter);
+      if (index === -1) return;
+      waitingExecutions.splice(index, 1);
+      notifyQueuePositions();
+      reject(cancellationError());
+    };
+    const waiter = {
+      onPosition,
+      grant: () => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        metrics.queueWait.observe({}, (Date.now() - requestedAt) / 1000);
+        if (onStart) onStart();
+        resolve(release);
+      },
+    };
+    waitingExecutions.push(waiter);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    if (onPosition) onPosition(waitingExecutions.length);
+  });
+}
 
-    // If error includes stderr/stdout, show that instead of just error.message
-    if (typeof error === "object" && (error.stderr || error.stdout)) {
-      res.json({ output: (error.stderr || error.stdout || error.message) });
-    } else {
-      res.json({ output: error.message || "An unknown error occurred." });
-    }
+/**
+ * Runs a task while holding an execution worker
+ *
+ * @async
+ * @function withWorker
+ * @param {Object} options - See acquireWorker
+ * @param {Function} task - Async function to run once a worker is free
+ * @returns {Promise<*>} The task's result
+ */
+async function withWorker(options, task) {
+  const release = await acquireWorker(options);
+  try {
+    return await task();
   } finally {
-    try {
-      fs.rmSync(sandboxDir, { recursive: true, force: true });
-    } catch (cleanupErr) {
-      console.error("Cleanup failed:", cleanupErr.message);
-    }
+    release();
   }
 }
 
+// --- Metrics ---
+// Histogram buckets (seconds) shared by the latency metrics; runs are capped at a few seconds,
+// compilations and queue waits can take longer
+const LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
 
+// Registered counters and histograms in exposition order
+const metricRegistry = [];
 
-// --- Language-specific Endpoints ---
-app.post("/run-python", (req, res) =>
-  handleCodeExecution("python", req.body.code, res, req.body.input || "")
-);
-
-app.post("/run-c", (req, res) =>
-  handleCodeExecution("c", req.body.code, res, req.body.input || "")
-);
+// Label set -> stable series key (labels are always passed in the same order)
+const seriesKey = (labels) => JSON.stringify(labels);
 
-app.post("/run-cpp", (req, res) =>
-  handleCodeExecution("cpp", req.body.code, res, req.body.input || "")
-);
+// Prometheus label values escape backslashes, quotes and newlines
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
 
-app.post("/run-javascript", (req, res) =>
-  handleCodeExecution("javascript", req.body.code, res, req.body.input || "")
-);
+/**
+ * Creates a counter exposed by GET /metrics
+ *
+ * @function createCounter
+ * @param {string} name - Metric name
+ * @param {string} help - HELP text
+ * @returns {{inc: Function}} inc(labels, amount = 1)
+ */
+function createCounter(name, help) {
+  const series = new Map();
+  metricRegistry.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ],
+  });
+  return {
+    inc: (labels = {}, amount = 1) => {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+  };
+}
 
-app.post("/run-java", (req, res) =>
-  handleCodeExecution("java", req.body.code, res, req.body.input || "")
-);
+/**
+ * Creates a histogram exposed by GET /metrics
+ *
+ * @function createHistogram
+ * @param {string} name - Metric name
+ * @param {string} help - HELP text
+ * @param {Array<number>} buckets - Upper bounds, increasing (the +Inf bucket is implied)
+ * @returns {{observe: Function}} observe(labels, value)
+ */
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  metricRegistry.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    ],
+  });
+  return {
+    observe: (labels, value) => {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+  };
+}
 
-// --- Socket.IO Logic ---
-const onlineUsers = new Map(); // userId -> { socketId, userName }
-// Store current code for each room and language
-const activeRooms = new Map(); // roomId -> { users: [{ userId, username, socketId }], problemTitle: string, currentCode: { python: string, javascript: string, ... } }
+const metrics = {
+  runs: createCounter("runner_runs_total", "Program runs by language and verdict (OK for a clean exit)"),
+  compilations: createCounter(
+    "runner_compilations_total",
+    "Compilations by language and result (ok, error or cached)"
+  ),
+  runDuration: createHistogram("runner_run_duration_seconds", "Wall time of program runs", LATENCY_BUCKETS),
+  compileDuration: createHistogram(
+    "runner_compile_duration_seconds",
+    "Wall time of compilations that missed the compile cache",
+    LATENCY_BUCKETS
+  ),
+  queueWait: createHistogram(
+    "runner_queue_wait_seconds",
+    "Time executions waited for a worker",
+    LATENCY_BUCKETS
+  ),
+  timeouts: createCounter(
+    "runner_process_timeouts_total",
+    "Compiler, program and version check processes stopped by their time limit"
+  ),
+};
 
-io.on("connection", (socket) => {
-  console.log("User connected:", socket.id);
+/**
+ * Records a finished program run
+ *
+ * @function recordRun
+ * @param {string} language - Programming language identifier
+ * @param {string|null} verdict - Run verdict (null for a clean exit)
+ * @param {number|null} durationMs - Wall time of the run; null leaves it out of the latency
+ *   histogram (interactive runs mostly wait for people typing)
+ */
+function recordRun(language, verdict, durationMs) {
+  metrics.runs.inc({ language, verdict: verdict || "OK" });
+  if (durationMs !== null) metrics.runDuration.observe({ language }, durationMs / 1000);
+}
 
-  socket.on("user_online", ({ userId, userName }) => {
-    onlineUsers.set(userId, { socketId: socket.id, userName });
-    console.log("User online:", userId, "Name:", userName);
-    // Optionally emit a list of online users to all
-    io.emit("online_users", Array.from(onlineUsers.values()).map(u => ({ id: u.userId, name: u.userName })));
-  });
+// Gauge lines of a value read at scrape time; values is a number or [{ labels, value }]
+const gaugeLines = (name, help, values) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} gauge`,
+  ...(Array.isArray(values) ? values : [{ labels: {}, value: values }]).map(
+    ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+  ),
+];
 
-  socket.on("send-invite", (inviteData) => {
-    console.log("Invite received:", inviteData);
-    const senderInfo = Array.from(onlineUsers.values()).find(u => u.socketId === socket.id);
-    const enrichedData = {
-      ...inviteData,
-      senderId: socket.id, // Socket ID of the sender
-      id: Date.now(),
-      title: inviteData.title || "Untitled Problem",
-      note: inviteData.note || "Would you like to join this problem-solving session?",
-      sender: senderInfo ? senderInfo.userName : "Anonymous", // Use actual username
-    };
-    // Emit to a specific user or broadcast if targetId is not specified
-    if (inviteData.targetUserId) {
-      const targetSocketId = onlineUsers.get(inviteData.targetUserId)?.socketId;
-      if (targetSocketId) {
-        io.to(targetSocketId).emit("receive-invite", enrichedData);
-        console.log(`Invite sent to ${inviteData.targetUserId}`);
-      } else {
-        console.warn(`Target user ${inviteData.targetUserId} not found online.`);
-      }
-    } else {
-      socket.broadcast.emit("receive-invite", enrichedData);
-      console.log("Invite broadcasted to all others.");
-    }
+/**
+ * Renders all metrics in the Prometheus text exposition format
+ *
+ * Counters and histograms accumulate since startup; queue, session and cache
+ * gauges are read at scrape time.
+ *
+ * @function renderMetrics
+ * @returns {string} Metrics text for GET /metrics
+ */
+function renderMetrics() {
+  const jobCounts = {};
+  jobs.forEach((job) => {
+    jobCounts[job.status] = (jobCounts[job.status] || 0) + 1;
   });
+  const lines = [
+    ...metricRegistry.flatMap((metric) => metric.render()),
+    ...gaugeLines("runner_queue_depth", "Executions waiting for a worker", waitingExecutions.length),
+    ...gaugeLines("runner_active_workers", "Executions holding a worker", activeWorkers),
+    ...gaugeLines("runner_workers", "Executions allowed at the same time", SECURITY_CONFIG.queue.workers),
+    ...gaugeLines(
+      "runner_jobs",
+      "Jobs kept by the /jobs API by status",
+      Object.entries(jobCounts).map(([status, value]) => ({ labels: { status }, value }))
+    ),
+    ...gaugeLines("runner_stream_sessions", "Streaming runs in progress", runSessions.size),
+    ...gaugeLines("runner_debug_sessions", "Debug sessions in progress", debugSessions.size),
+    ...gaugeLines("runner_compile_cache_entries", "Builds in the compile cache", compileCacheEntries.size),
+    ...gaugeLines("runner_compile_cache_bytes", "Size of the compile cache", compileCacheStats.bytes),
+    "# HELP runner_compile_cache_lookups_total Compile cache lookups by result",
+    "# TYPE runner_compile_cache_lookups_total counter",
+    `runner_compile_cache_lookups_total{result="hit"} ${compileCacheStats.hits}`,
+    `runner_compile_cache_lookups_total{result="miss"} ${compileCacheStats.misses}`,
+    ...gaugeLines("process_uptime_seconds", "Seconds since the runner started", Math.round(process.uptime())),
+    ...gaugeLines("process_resident_memory_bytes", "Resident memory of the runner process", process.memoryUsage().rss),
+  ];
+  return `${lines.join("\n")}\n`;
+}
 
-  // Handle room joining
-  socket.on("join-room", ({ roomId, userId, username, problemTitle, initialCode = {} }) => {
-    socket.join(roomId);
+// --- Diagnostics ---
+const DIAGNOSTIC_LIMITS = {
+  maxDiagnostics: 100, // Maximum number of records returned per run
+};
 
-    if (!activeRooms.has(roomId)) {
-      // Initialize room with problem title and initial code for all languages
-      activeRooms.set(roomId, {
-        users: [],
-        problemTitle: problemTitle,
-        currentCode: initialCode, // Store initial code provided by the creator
-      });
-    }
+const SEVERITIES = { "fatal error": "error", error: "error", warning: "warning", note: "info" };
 
-    const room = activeRooms.get(roomId);
-    room.users.push({
-      userId,
-      username,
-      socketId: socket.id,
-    });
+/**
+ * Compiler/interpreter output parsers, referenced by name from languageConfigs[lang].diagnostics.
+ * Each takes the output split into lines and returns raw records whose `file` is
+ * still the path as printed by the tool. Traceback parsers flag their records as
+ * `frame` and list the innermost frame first.
+ */
+const diagnosticParsers = {
+  // gcc, g++, go build and kotlinc: "file:line:col: [severity:] message"
+  gcc: (lines) =>
+    lines
+      .map((line) => line.match(/^(.+?):(\d+):(\d+): (?:(fatal error|error|warning|note): )?(.*)$/))
+      .filter(Boolean)
+      .map(([, file, line, column, severity, message]) => ({
+        file,
+        line: Number(line),
+        column: Number(column),
+        severity: SEVERITIES[severity || "error"],
+        message,
+      })),
 
-    // Notify everyone in the room about the new join, including current code and user list
-    io.to(roomId).emit("room-joined", {
-      roomId,
-      username,
-      problemTitle,
-      users: room.users,
-      currentCode: room.currentCode, // Send the current code state to the new joiner
-    });
+  // javac: "File.java:line: error: message"
+  javac: (lines) =>
+    lines
+      .map((line) => line.match(/^(.+?\.java):(\d+): (error|warning): (.*)$/))
+      .filter(Boolean)
+      .map(([, file, line, severity, message]) => ({
+        file,
+        line: Number(line),
+        column: null,
+        severity: SEVERITIES[severity],
+        message,
+      })),
 
-    console.log(`User ${username} joined room ${roomId}. Current users:`, room.users.length);
-  });
+  // tsc: "file.ts(line,col): error TS1234: message"
+  tsc: (lines) =>
+    lines
+      .map((line) => line.match(/^(.+?)\((\d+),(\d+)\): (error|warning) (.*)$/))
+      .filter(Boolean)
+      .map(([, file, line, column, severity, message]) => ({
+        file,
+        line: Number(line),
+        column: Number(column),
+        severity: SEVERITIES[severity],
+        message,
+      })),
 
-  // Handle invite acceptance
-  socket.on("accept-invite", ({ inviteId, senderId, title, roomId }) => {
-    // Notify the sender that their invite was accepted
-    io.to(senderId).emit("invite-accepted", {
-      roomId,
-      acceptedBy: socket.id,
-      problemTitle: title,
+  // rustc: "error[E0425]: message" followed by " --> file:line:col"
+  rustc: (lines) => {
+    const records = [];
+    lines.forEach((line, index) => {
+      const header = line.match(/^(error|warning)(?:\[\w+\])?: (.*)$/);
+      const location = header && (lines[index + 1] || "").match(/^\s*--> (.+?):(\d+):(\d+)$/);
+      if (location) {
+        records.push({
+          file: location[1],
+          line: Number(location[2]),
+          column: Number(location[3]),
+          severity: SEVERITIES[header[1]],
+          message: header[2],
+        });
+      }
+    });
+    return records;
+  },
+
+  // CPython traceback: innermost 'File "...", line N' frame plus the final "XyzError: message" line
+  python: (lines) => {
+    const frames = lines
+      .map((line) => line.match(/^\s*File "(.+)", line (\d+)/))
+      .filter(Boolean);
+    const message = lines.filter((line) => /^\w+(Error|Exception|Interrupt|Exit)\b/.test(line)).pop();
+    if (!frames.length || !message) return [];
+    return frames.reverse().map(([, file, line]) => ({
+      file,
+      line: Number(line),
+      column: null,
+      severity: "error",
+      message,
+      frame: true,
+    }));
+  },
+
+  // Node: stack frames "at fn (file:line:col)" or, for syntax errors, a leading "file:line" header
+  node: (lines) => {
+    const message = lines.find((line) => /^\w*Error\b/.test(line));
+    if (!message) return [];
+    const frames = lines
+      .map((line) => line.match(/^\s+at (?:.*? \()?(.+?):(\d+):(\d+)\)?$/))
+      .filter(Boolean)
+      .map(([, file, line, column]) => ({ file, line: Number(line), column: Number(column) }));
+    // Syntax errors have no user frames, only the "file:line" header above the offending code
+    const header = lines.map((line) => line.match(/^(\/.+?):(\d+)$/)).find(Boolean);
+    if (header && /^SyntaxError\b/.test(message)) {
+      frames.unshift({ file: header[1], line: Number(header[2]), column: null });
+    }
+    return frames.map((frame) => ({ ...frame, severity: "error", message, frame: true }));
+  },
+
+  // AddressSanitizer: the stack of the faulting access, innermost frame first
+  // (UBSan's "file:line:col: runtime error: ..." header is picked up by the gcc parser)
+  sanitizer: (lines) => {
+    const index = lines.findIndex((line) => /ERROR: AddressSanitizer: /.test(line));
+    if (index === -1) return [];
+    const message = lines[index].replace(/^==\d+==ERROR: /, "");
+    return readSanitizerFrames(lines, firstSanitizerFrame(lines, index + 1)).map((frame) => ({
+      file: frame.file,
+      line: frame.line,
+      column: frame.column,
+      severity: "error",
+      message,
+      frame: true,
+    }));
+  },
+
+  // Ruby: "file.rb:line:in 'method': message (ErrorClass)" or "file.rb:line: syntax error..."
+  ruby: (lines) =>
+    lines
+      .map((line) => line.match(/^(.+?\.rb):(\d+):(?:in .+?: )?\s*(.*)$/))
+      .filter(Boolean)
+      .map(([, file, line, message]) => ({
+        file,
+        line: Number(line),
+        column: null,
+        severity: "error",
+        message,
+      })),
+};
+
+/**
+ * Parses compiler and interpreter output into editor diagnostics
+ *
+ * Only locations inside the sandbox are kept (library and runtime frames are
+ * dropped), reported relative to it so they match the request's file names.
+ * Of a traceback only the innermost user frame is reported.
+ *
+ * @function parseDiagnostics
+ * @param {string} language - Programming language identifier
+ * @param {string} text - Compiler output or program stderr
+ * @param {string} sandboxDir - Sandbox the program was built/run in
+ * @returns {Array<{file: string, line: number, column: number|null, severity: string, message: string}>}
+ */
+function parseDiagnostics(language, text, sandboxDir) {
+  const config = languageConfigs[language];
+  if (!config || !config.diagnostics || !text) return [];
+
+  const lines = text.split(/\r?\n/);
+  const seen = new Set();
+  const diagnostics = [];
+  for (const parserName of config.diagnostics) {
+    let frameSeen = false;
+    for (const { frame, ...record } of diagnosticParsers[parserName](lines)) {
+      // Compilers run from the runner's working directory, so relative paths resolve against it
+      const relative = path.relative(sandboxDir, path.resolve(record.file));
+      if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) continue;
+
+      if (frame && frameSeen) continue;
+      frameSeen = frameSeen || Boolean(frame);
+
+      const diagnostic = { ...record, file: relative.split(path.sep).join("/") };
+      const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      diagnostics.push(diagnostic);
+    }
+  }
+
+  return diagnostics.slice(0, DIAGNOSTIC_LIMITS.maxDiagnostics);
+}
+
+// --- Sanitizer Reports ---
+const SANITIZER_LIMITS = {
+  maxFrames: 16, // Frames kept per stack; deep recursion otherwise reports hundreds
+};
+
+// Stack frame of an AddressSanitizer/UBSan report: "#0 0x55c5 in function /path/file.c:12[:5]"
+const SANITIZER_FRAME = /^\s*#\d+ 0x[0-9a-f]+ in (.+?) ((?:\/|\.\.?\/)\S+?):(\d+)(?::(\d+))?$/;
+
+// Plain-language explanations of the most common findings, shown above the stack
+const SANITIZER_HINTS = {
+  "heap-buffer-overflow": "An array or buffer allocated with new/malloc was accessed outside its bounds.",
+  "stack-buffer-overflow": "A local array was accessed outside its bounds.",
+  "global-buffer-overflow": "A global array was accessed outside its bounds.",
+  "heap-use-after-free": "Memory was used after it had been freed or deleted.",
+  "stack-use-after-return": "A pointer to a local variable was used after its function returned.",
+  "double-free": "The same memory was freed twice.",
+  "stack-overflow": "The call stack ran out of space, usually because of infinite or too deep recursion.",
+  SEGV: "The program accessed memory it does not own, e.g. through a null or dangling pointer.",
+  "signed-integer-overflow": "An int calculation produced a value outside the range of its type.",
+  "division-by-zero": "An integer was divided by zero.",
+  "index-out-of-bounds": "A fixed-size array was indexed outside its bounds.",
+  "null-pointer": "A null pointer was dereferenced.",
+  "invalid-shift": "A value was shifted by a negative amount or by at least its width in bits.",
+};
+
+// UBSan only prints a sentence; these name its finding like AddressSanitizer does
+const UBSAN_KINDS = [
+  [/signed integer overflow/, "signed-integer-overflow"],
+  [/division by zero/, "division-by-zero"],
+  [/index -?\d+ out of bounds/, "index-out-of-bounds"],
+  [/null pointer/, "null-pointer"],
+  [/shift exponent|left shift of/, "invalid-shift"],
+];
+
+// Index of the first stack frame line at or after `from`
+const firstSanitizerFrame = (lines, from) => {
+  let index = from;
+  while (index < lines.length && !SANITIZER_FRAME.test(lines[index])) index++;
+  return index;
+};
+
+/**
+ * Sanitizer report of a failed run, if the program was built with sanitizers
+ *
+ * @function crashReportFor
+ * @param {Object|null} compilerOptions - Options the program was built with
+ * @param {string} stderr - Program stderr
+ * @param {string} sandboxDir - Sandbox the program ran in
+ * @returns {Object|null} See parseSanitizerReport
+ */
+function crashReportFor(compilerOptions, stderr, sandboxDir) {
+  if (!compilerOptions || !compilerOptions.sanitizers || !compilerOptions.sanitizers.length) return null;
+  return parseSanitizerReport(stderr, sandboxDir);
+}
+
+/**
+ * Extracts the stack frames below a report line up to the next blank line
+ *
+ * @function readSanitizerFrames
+ * @param {Array<string>} lines - Report lines
+ * @param {number} start - Index of the first line after the stack's heading
+ * @returns {Array<{function: string, file: string, line: number, column: number|null}>} Frames
+ *   with a source location, innermost first
+ */
+function readSanitizerFrames(lines, start) {
+  const frames = [];
+  for (let index = start; index < lines.length && lines[index].trim(); index++) {
+    const match = lines[index].match(SANITIZER_FRAME);
+    if (match) {
+      frames.push({
+        function: match[1],
+        file: match[2],
+        line: Number(match[3]),
+        column: match[4] ? Number(match[4]) : null,
+      });
+    }
+  }
+  return frames;
+}
+
+/**
+ * Parses the AddressSanitizer or UndefinedBehaviorSanitizer report in a crashed program's stderr
+ *
+ * Frames outside the sandbox (libc, libstdc++, the sanitizer runtime) are dropped and each
+ * remaining frame carries the source line it points at, read from the sandbox.
+ *
+ * @function parseSanitizerReport
+ * @param {string} text - Program stderr
+ * @param {string} sandboxDir - Sandbox the program ran in (still holding its sources)
+ * @returns {Object|null} { tool, kind, message, hint, access, frames, omittedFrames, related } or
+ *   null if the output holds no sanitizer report. frames are { function, file, line, column, source },
+ *   innermost first and cut to SANITIZER_LIMITS.maxFrames (omittedFrames counts the rest);
+ *   related lists the other stacks of the report (e.g. "freed by thread T0 here") as { title, frames }.
+ */
+function parseSanitizerReport(text, sandboxDir) {
+  if (!text) return null;
+  const lines = text.split(/\r?\n/);
+  const sourceCache = new Map();
+
+  const userFrames = (frames) =>
+    frames
+      .map((frame) => ({ ...frame, file: path.relative(sandboxDir, path.resolve(sandboxDir, frame.file)) }))
+      .filter(({ file }) => file && !file.startsWith("..") && !path.isAbsolute(file))
+      .map((frame) => {
+        if (!sourceCache.has(frame.file)) {
+          let contents = null;
+          try {
+            contents = fs.readFileSync(path.join(sandboxDir, frame.file), "utf8").split(/\r?\n/);
+          } catch (err) {
+            // Source is gone; report the frame without its line
+          }
+          sourceCache.set(frame.file, contents);
+        }
+        const contents = sourceCache.get(frame.file);
+        const source = contents && contents[frame.line - 1] !== undefined ? contents[frame.line - 1].trimEnd() : null;
+        return { ...frame, file: frame.file.split(path.sep).join("/"), source };
+      });
+
+  // AddressSanitizer: "==123==ERROR: AddressSanitizer: heap-buffer-overflow on address ..."
+  const asanIndex = lines.findIndex((line) => /ERROR: AddressSanitizer: /.test(line));
+  if (asanIndex !== -1) {
+    const message = lines[asanIndex].replace(/^==\d+==ERROR: AddressSanitizer: /, "");
+    const kind = message.match(/^(?:attempting )?(out of memory|[\w-]+)/)[1].replace(/ /g, "-");
+    // The first stack follows the access line ("READ of size 4 at ...") or the signal description
+    const stackStart = firstSanitizerFrame(lines, asanIndex + 1);
+    const access = lines
+      .slice(asanIndex + 1, stackStart)
+      .map((line) => line.replace(/^==\d+==/, "").trim())
+      .find((line) => /^(READ|WRITE) of size|caused by a (READ|WRITE)/.test(line));
+
+    const related = [];
+    lines.forEach((line, index) => {
+      if (index > stackStart && /^\S.* here:$/.test(line)) {
+        related.push({
+          title: line.replace(/:$/, ""),
+          frames: userFrames(readSanitizerFrames(lines, index + 1)).slice(0, SANITIZER_LIMITS.maxFrames),
+        });
+      }
+    });
+
+    const frames = userFrames(readSanitizerFrames(lines, stackStart));
+    return {
+      tool: "AddressSanitizer",
+      kind,
+      message,
+      hint: SANITIZER_HINTS[kind] || null,
+      access: access || null,
+      frames: frames.slice(0, SANITIZER_LIMITS.maxFrames),
+      omittedFrames: Math.max(0, frames.length - SANITIZER_LIMITS.maxFrames),
+      related,
+    };
+  }
+
+  // UBSan: "/path/main.c:2:34: runtime error: signed integer overflow: ..." plus an optional stack
+  const ubsanIndex = lines.findIndex((line) => /^.+?:\d+:\d+: runtime error: /.test(line));
+  if (ubsanIndex !== -1) {
+    const [, file, line, column, message] = lines[ubsanIndex].match(/^(.+?):(\d+):(\d+): runtime error: (.*)$/);
+    const known = UBSAN_KINDS.find(([pattern]) => pattern.test(message));
+    const kind = known ? known[1] : "undefined-behavior";
+    const location = { function: null, file, line: Number(line), column: Number(column) };
+    const stack = readSanitizerFrames(lines, ubsanIndex + 1);
+    // The stack's innermost frame is the reported location; keep the more precise header
+    if (stack.length && stack[0].line === location.line) location.function = stack.shift().function;
+
+    const frames = userFrames([location, ...stack]);
+    return {
+      tool: "UndefinedBehaviorSanitizer",
+      kind,
+      message,
+      hint: SANITIZER_HINTS[kind] || null,
+      access: null,
+      frames: frames.slice(0, SANITIZER_LIMITS.maxFrames),
+      omittedFrames: Math.max(0, frames.length - SANITIZER_LIMITS.maxFrames),
+      related: [],
+    };
+  }
+
+  return null;
+}
+
+// --- Project Sources ---
+const PROJECT_LIMITS = {
+  maxFiles: 32, // Maximum number of files in a multi-file request
+  maxPathLength: 200, // Maximum length of a relative file path
+};
+
+// Relative paths made of safe characters only (no "..", no leading "/", "." or "-"),
+// since they become compiler and interpreter arguments that must not read as options
+const SAFE_PATH_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*(\/[A-Za-z0-9_][A-Za-z0-9_.-]*)*$/;
+
+/**
+ * Turns a run request into the set of files to write into the sandbox
+ *
+ * Accepts either a single `code` string (written as main.<ext>, or <Class>.java for Java)
+ * or a `files` map of relative path -> contents plus an `entry` path. The entry may be
+ * omitted when there is only one file or a main.<ext> file. Compiler options travel
+ * with the sources since they decide how the files are built. Third-party imports
+ * are checked against the package allowlist (see checkImports).
+ *
+ * @function resolveSources
+ * @param {string} language - Programming language identifier
+ * @param {Object} request - Request body
+ * @param {string} [request.code] - Single-file source code
+ * @param {Object<string, string>} [request.files] - Relative path -> file contents
+ * @param {string} [request.entry] - Path of the file to run (interpreted) or the main class (Java)
+ * @param {Object} [request.compilerOptions] - Compiler options, see resolveCompilerOptions
+ * @param {boolean} [request.debug] - Debug run: build with sanitizers (C/C++ only)
+ * @returns {{sources?: {files: Object<string, string>, entry: string, compilerOptions: Object|null}, error?: string}}
+ *          The project sources, or a validation error message
+ */
+function resolveSources(language, { code, files, entry, compilerOptions: requestedOptions, debug } = {}) {
+  const config = languageConfigs[language];
+  const { compilerOptions, error } = resolveCompilerOptions(language, requestedOptions, debug === true);
+  if (error) return { error };
+
+  if (files === undefined || files === null) {
+    if (!code) return { error: "No code provided" };
+    if (typeof code !== "string") return { error: "code must be a string" };
+    const main =
+      language === "java" ? `${config.detectClassName(code) || "Main"}.java` : `main.${config.extension}`;
+    const importError = checkImports(language, { [main]: code });
+    if (importError) return { error: importError };
+    return { sources: { files: { [main]: code }, entry: main, compilerOptions } };
+  }
+
+  if (typeof files !== "object" || Array.isArray(files)) {
+    return { error: "files must be an object mapping paths to contents" };
+  }
+  const paths = Object.keys(files);
+  if (paths.length === 0) return { error: "files must not be empty" };
+  if (paths.length > PROJECT_LIMITS.maxFiles) {
+    return { error: `At most ${PROJECT_LIMITS.maxFiles} files are allowed` };
+  }
+  for (const filePath of paths) {
+    if (filePath.length > PROJECT_LIMITS.maxPathLength || !SAFE_PATH_PATTERN.test(filePath)) {
+      return { error: `Invalid file path: ${filePath}` };
+    }
+    if (typeof files[filePath] !== "string") {
+      return { error: `Contents of ${filePath} must be a string` };
+    }
+  }
+
+  const entryPath =
+    entry || (paths.length === 1 ? paths[0] : paths.find((p) => p === `main.${config.extension}`));
+  if (!entryPath) return { error: "entry is required when sending several files" };
+  if (!paths.includes(entryPath)) return { error: `Entry file not found: ${entryPath}` };
+  if (path.extname(entryPath) !== `.${config.extension}`) {
+    return { error: `Entry file must be a .${config.extension} file` };
+  }
+
+  const importError = checkImports(language, files);
+  if (importError) return { error: importError };
+
+  return { sources: { files, entry: entryPath, compilerOptions } };
+}
+
+// --- Packages ---
+const PACKAGE_ALLOWLIST = require("./packages.json");
+
+/**
+ * Third-party import scanners, referenced by languageConfigs[lang].imports.parser.
+ * Each takes a source file's contents and returns the top-level names it imports
+ * that are neither relative imports nor part of the standard library.
+ */
+const importParsers = {
+  // "import a.b as c, d" and "from a.b import c" (relative "from . import" is local)
+  python: (code) => {
+    const names = [];
+    for (const line of code.split(/\r?\n/)) {
+      const statement = line.replace(/#.*$/, "");
+      const fromMatch = statement.match(/^\s*from\s+([A-Za-z_]\w*)/);
+      const importMatch = statement.match(/^\s*import\s+(.+)$/);
+      if (fromMatch) {
+        names.push(fromMatch[1]);
+      } else if (importMatch) {
+        importMatch[1].split(",").forEach((part) => {
+          const name = part.trim().split(/[\s.]/)[0];
+          if (/^[A-Za-z_]\w*$/.test(name)) names.push(name);
+        });
+      }
+    }
+    const stdlib = pythonStdlibModules();
+    return names.filter((name) => !stdlib || !stdlib.has(name));
+  },
+
+  // require("x"), import ... from "x", import "x" and import("x"); "lodash/fp" -> "lodash"
+  javascript: (code) => {
+    const patterns = [
+      /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+      /\bimport\s+(?:[\w*{}\s,$]+\s+from\s+)?['"]([^'"]+)['"]/g,
+      /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+    ];
+    const builtins = new Set(require("module").builtinModules);
+    const names = [];
+    for (const pattern of patterns) {
+      for (const [, specifier] of code.matchAll(pattern)) {
+        if (/^[./]/.test(specifier) || specifier.startsWith("node:")) continue;
+        const parts = specifier.split("/");
+        const name = specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+        if (!builtins.has(name)) names.push(name);
+      }
+    }
+    return names;
+  },
+};
+
+// Python's own module list (3.10+), probed once; null if unavailable, which disables the import check
+let pythonStdlib;
+function pythonStdlibModules() {
+  if (pythonStdlib === undefined) {
+    const probe = spawnSync(PYTHON_CMD, ["-c", "import sys; print('\\n'.join(sys.stdlib_module_names))"], {
+      encoding: "utf8",
+    });
+    pythonStdlib = probe.status === 0 ? new Set(probe.stdout.split("\n").filter(Boolean)) : null;
+  }
+  return pythonStdlib;
+}
+
+/**
+ * Lists the allowlisted packages and whether this runner has them installed
+ *
+ * @function listPackages
+ * @param {string} [language] - Only list packages of this language
+ * @returns {Array<{language: string, name: string, version: string, imports: string[], installed: boolean}>}
+ */
+function listPackages(language) {
+  return Object.entries(PACKAGE_ALLOWLIST)
+    .filter(([id]) => !language || id === language)
+    .flatMap(([id, packages]) =>
+      packages.map((pkg) => ({
+        language: id,
+        name: pkg.name,
+        version: pkg.version,
+        imports: pkg.imports,
+        installed: pkg.imports.every((name) => fs.existsSync(path.join(languageConfigs[id].imports.dir, name))),
+      }))
+    );
+}
+
+/**
+ * Checks a project's third-party imports against the provisioned package allowlist
+ *
+ * Imports of the project's own modules are allowed; anything else must be in
+ * packages.json and installed by provision-packages.js. Nothing is checked under
+ * the "any" dependencyPolicy.
+ *
+ * @function checkImports
+ * @param {string} language - Programming language identifier
+ * @param {Object<string, string>} files - Relative path -> file contents
+ * @returns {string|null} Error message naming the unavailable packages, or null
+ */
+function checkImports(language, files) {
+  const config = languageConfigs[language];
+  if (!config.imports || SECURITY_CONFIG.dependencyPolicy === "any") return null;
+
+  // Modules of the project itself: "util.py" or "helpers/__init__.py" make "util" and "helpers" importable
+  const localModules = new Set(Object.keys(files).map((filePath) => filePath.split("/")[0].replace(/\.\w+$/, "")));
+  const packages = listPackages(language);
+  const missing = new Set();
+  const notInstalled = new Set();
+  for (const [filePath, contents] of Object.entries(files)) {
+    if (path.extname(filePath) !== `.${config.extension}`) continue;
+    for (const name of importParsers[config.imports.parser](contents)) {
+      if (language === "python" && localModules.has(name)) continue;
+      const pkg = packages.find((candidate) => candidate.imports.includes(name));
+      if (!pkg) missing.add(name);
+      else if (!pkg.installed) notInstalled.add(pkg.name);
+    }
+  }
+
+  if (missing.size) {
+    const available = packages.map((pkg) => pkg.name).join(", ") || "none";
+    return `Package not available: ${[...missing].join(", ")}. Importable packages: ${available}`;
+  }
+  if (notInstalled.size) {
+    return `Package not installed on this runner: ${[...notInstalled].join(", ")}`;
+  }
+  return null;
+}
+
+// --- Compiler Options ---
+/**
+ * Validates requested compiler options against the language's allowlist and fills in defaults
+ *
+ * A debug run overrides the requested options with the language's debugCompilerOptions
+ * (sanitizers on, optimizations off).
+ *
+ * @function resolveCompilerOptions
+ * @param {string} language - Programming language identifier
+ * @param {Object} [requested] - Option name -> value, from the request's compilerOptions
+ * @param {boolean} [debug=false] - Build for a debug run
+ * @returns {{compilerOptions?: Object|null, error?: string}} Complete options (null for
+ *          languages without options), or a validation error message
+ */
+function resolveCompilerOptions(language, requested, debug = false) {
+  const config = languageConfigs[language];
+  const schema = config.compilerOptions;
+  if (requested === undefined || requested === null) {
+    requested = {};
+  } else if (typeof requested !== "object" || Array.isArray(requested)) {
+    return { error: "compilerOptions must be an object" };
+  }
+  if (debug) {
+    if (!config.debugCompilerOptions) return { error: `Debug runs are not supported for ${config.name}` };
+    requested = { ...requested, ...config.debugCompilerOptions };
+  }
+  if (!schema) {
+    return Object.keys(requested).length
+      ? { error: `${config.name} does not accept compiler options` }
+      : { compilerOptions: null };
+  }
+
+  const compilerOptions = {};
+  for (const name of Object.keys(requested)) {
+    if (!schema[name]) return { error: `Unknown compiler option: ${name}` };
+  }
+  for (const [name, option] of Object.entries(schema)) {
+    const value = requested[name];
+    if (value === undefined || value === null) {
+      compilerOptions[name] = option.default;
+      continue;
+    }
+    const valid =
+      option.type === "boolean"
+        ? typeof value === "boolean"
+        : option.type === "set"
+          ? Array.isArray(value) && value.every((item) => option.values.includes(item))
+          : option.values.includes(value);
+    if (!valid) {
+      const allowed = option.type === "boolean" ? "true or false" : option.values.join(", ");
+      return { error: `Invalid value for compiler option ${name} (allowed: ${allowed})` };
+    }
+    // Keep sets in allowlist order so equivalent requests share compile cache entries
+    compilerOptions[name] =
+      option.type === "set" ? option.values.filter((item) => value.includes(item)) : value;
+  }
+  return { compilerOptions };
+}
+
+// --- Compile Cache ---
+const COMPILE_CACHE = {
+  enabled: process.env.COMPILE_CACHE_DISABLED !== "true",
+  dir: process.env.COMPILE_CACHE_DIR || path.join(os.tmpdir(), "c-runner-compile-cache"),
+  maxBytes: (Number(process.env.COMPILE_CACHE_MAX_MB) || 256) * 1024 * 1024, // Evict least recently used entries above this
+};
+
+// cacheKey -> { bytes }; Map order doubles as the LRU order (least recently used first)
+const compileCacheEntries = new Map();
+const compileCacheStats = { hits: 0, misses: 0, bytes: 0 };
+
+// Entries are not tracked across restarts, so start from an empty directory
+if (COMPILE_CACHE.enabled) {
+  fs.rmSync(COMPILE_CACHE.dir, { recursive: true, force: true });
+  fs.mkdirSync(COMPILE_CACHE.dir, { recursive: true });
+}
+
+/**
+ * Lists the files below a directory
+ *
+ * @function listFiles
+ * @param {string} dir - Directory to walk
+ * @returns {Array<{relative: string, bytes: number}>} Files with paths relative to dir
+ */
+function listFiles(dir) {
+  const files = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+      } else if (entry.isFile()) {
+        files.push({ relative: path.relative(dir, full), bytes: fs.statSync(full).size });
+      }
+    }
+  };
+  walk(dir);
+  return files;
+}
+
+/**
+ * Cache key of a compilation: language, the compile step (flags) and every source file
+ *
+ * @function compileCacheKey
+ * @param {string} language - Programming language identifier
+ * @param {Object} compileStep - Compile step as run in the sandbox
+ * @param {string} sandboxDir - Sandbox the step refers to
+ * @param {{files: Object<string, string>, entry: string, compilerOptions: Object|null}} sources - Output of resolveSources
+ * @returns {string} Hex digest
+ */
+function compileCacheKey(language, compileStep, sandboxDir, sources) {
+  const hash = crypto.createHash("sha256");
+  hash.update(language);
+  // The sandbox path differs on every request; only the flags matter
+  hash.update(`\0${JSON.stringify(compileStep).split(sandboxDir).join("<sandbox>")}`);
+  hash.update(`\0${sources.entry}`);
+  for (const filePath of Object.keys(sources.files).sort()) {
+    hash.update(`\0${filePath}\0${sources.files[filePath]}`);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Copies cached build outputs into the sandbox
+ *
+ * @function restoreFromCompileCache
+ * @param {string} key - Output of compileCacheKey
+ * @param {string} sandboxDir - Sandbox to restore into
+ * @returns {{stdout: string, stderr: string}|null} Compiler output of the cached build, or null on a miss
+ */
+function restoreFromCompileCache(key, sandboxDir) {
+  if (!COMPILE_CACHE.enabled || !compileCacheEntries.has(key)) {
+    compileCacheStats.misses++;
+    return null;
+  }
+  const entryDir = path.join(COMPILE_CACHE.dir, key);
+  try {
+    fs.cpSync(path.join(entryDir, "files"), sandboxDir, { recursive: true });
+    const output = JSON.parse(fs.readFileSync(path.join(entryDir, "compile.json"), "utf8"));
+    // Mark as most recently used
+    const entry = compileCacheEntries.get(key);
+    compileCacheEntries.delete(key);
+    compileCacheEntries.set(key, entry);
+    compileCacheStats.hits++;
+    return output;
+  } catch (err) {
+    // Evicted or flushed while we were copying; compile instead
+    compileCacheStats.misses++;
+    return null;
+  }
+}
+
+/**
+ * Removes one cache entry from disk and the index
+ *
+ * @function evictCompileCacheEntry
+ * @param {string} key - Entry to remove
+ */
+function evictCompileCacheEntry(key) {
+  const entry = compileCacheEntries.get(key);
+  if (!entry) return;
+  compileCacheEntries.delete(key);
+  compileCacheStats.bytes -= entry.bytes;
+  fs.rmSync(path.join(COMPILE_CACHE.dir, key), { recursive: true, force: true });
+}
+
+/**
+ * Stores the build outputs of a successful compilation (every sandbox file that
+ * is not a source file) and evicts least recently used entries over the size limit
+ *
+ * @function storeInCompileCache
+ * @param {string} key - Output of compileCacheKey
+ * @param {string} sandboxDir - Sandbox after compilation
+ * @param {{files: Object<string, string>}} sources - Sources written before compiling
+ * @param {Object} compile - Compiler process result
+ */
+function storeInCompileCache(key, sandboxDir, sources, compile) {
+  if (!COMPILE_CACHE.enabled || compileCacheEntries.has(key)) return;
+
+  const sourcePaths = new Set(Object.keys(sources.files).map((filePath) => path.normalize(filePath)));
+  const artifacts = listFiles(sandboxDir).filter((file) => !sourcePaths.has(file.relative));
+  const bytes = artifacts.reduce((sum, file) => sum + file.bytes, 0);
+  if (artifacts.length === 0 || bytes > COMPILE_CACHE.maxBytes) return;
+
+  // Build the entry under a temporary name so readers never see half of it
+  const entryDir = path.join(COMPILE_CACHE.dir, key);
+  const stagingDir = `${entryDir}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    for (const file of artifacts) {
+      const target = path.join(stagingDir, "files", file.relative);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(sandboxDir, file.relative), target);
+    }
+    fs.writeFileSync(
+      path.join(stagingDir, "compile.json"),
+      JSON.stringify({ stdout: compile.stdout, stderr: compile.stderr })
+    );
+    fs.renameSync(stagingDir, entryDir);
+  } catch (err) {
+    console.error("Compile cache store failed:", err.message);
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    return;
+  }
+
+  compileCacheEntries.set(key, { bytes });
+  compileCacheStats.bytes += bytes;
+  while (compileCacheStats.bytes > COMPILE_CACHE.maxBytes) {
+    evictCompileCacheEntry(compileCacheEntries.keys().next().value);
+  }
+}
+
+/**
+ * Empties the compile cache
+ *
+ * @function flushCompileCache
+ * @returns {{entries: number, bytes: number}} What was removed
+ */
+function flushCompileCache() {
+  const flushed = { entries: compileCacheEntries.size, bytes: compileCacheStats.bytes };
+  for (const key of Array.from(compileCacheEntries.keys())) {
+    evictCompileCacheEntry(key);
+  }
+  return flushed;
+}
+
+/**
+ * Writes the project files into the sandbox and compiles them if the language needs it
+ *
+ * All files with the language's extension are passed to the compiler together;
+ * other files (headers, input data, ...) are only written. Builds of unchanged
+ * sources are restored from the compile cache instead; such a result has `cached: true`.
+ *
+ * @async
+ * @function compileCode
+ * @param {string} language - Programming language identifier
+ * @param {{files: Object<string, string>, entry: string, compilerOptions: Object|null}} sources - Output of resolveSources
+ * @param {string} sandboxDir - Per-request sandbox directory
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Stops the compiler when aborted
+ * @returns {Promise<{filename: string, compile: Object|null}>} Path of the entry file the run
+ *   command expects, and the compiler's process result (null for interpreted languages)
+ * @throws {Error} If the language is not supported
+ */
+async function compileCode(language, sources, sandboxDir, { signal } = {}) {
+  const config = languageConfigs[language];
+  if (!config) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  // write source files
+  for (const [filePath, contents] of Object.entries(sources.files)) {
+    const target = path.join(sandboxDir, filePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents, { mode: 0o644 });
+  }
+  const filename = path.join(sandboxDir, sources.entry);
+  const sourceFiles = Object.keys(sources.files)
+    .filter((filePath) => path.extname(filePath) === `.${config.extension}`)
+    .map((filePath) => path.join(sandboxDir, filePath));
+
+  // compile if needed
+  let compile = null;
+  if (config.compileStep) {
+    const compileStep = config.compileStep(filename, sandboxDir, sourceFiles, sources.compilerOptions);
+    const cacheKey = compileCacheKey(language, compileStep, sandboxDir, sources);
+    const start = Date.now();
+    const cachedOutput = restoreFromCompileCache(cacheKey, sandboxDir);
+    if (cachedOutput) {
+      compile = {
+        ...cachedOutput,
+        exitCode: 0,
+        signal: null,
+        timedOut: false,
+        truncated: false,
+        durationMs: Date.now() - start,
+        cached: true,
+      };
+      metrics.compilations.inc({ language, result: "cached" });
+    } else {
+      compile = await executeWithTimeout(
+        activeExecutor.isolateCompile(compileStep, sandboxDir, config.compileDirs || []),
+        config.compileTimeout || SECURITY_CONFIG.timeouts.compilation,
+        "",
+        { signal }
+      );
+      if (succeeded(compile)) storeInCompileCache(cacheKey, sandboxDir, sources, compile);
+      metrics.compilations.inc({ language, result: succeeded(compile) ? "ok" : "error" });
+      metrics.compileDuration.observe({ language }, compile.durationMs / 1000);
+    }
+  }
+
+  return { filename, compile };
+}
+
+/**
+ * Wall-clock limit of one run of a program, the same for every endpoint
+ *
+ * @function runTimeoutFor
+ * @param {string} language - Programming language identifier
+ * @returns {number} Timeout (ms)
+ */
+function runTimeoutFor(language) {
+  return languageConfigs[language].runTimeout || SECURITY_CONFIG.timeouts.execution;
+}
+
+/**
+ * Runs an already compiled (or interpreted) program once with the given stdin
+ *
+ * @async
+ * @function runProgram
+ * @param {string} language - Programming language (python, javascript, java, cpp, c)
+ * @param {string} filename - Source file path returned by compileCode
+ * @param {string} sandboxDir - Per-request sandbox directory
+ * @param {string} [input=""] - Data written to the program's stdin
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Stops the program when aborted
+ * @param {Object|null} [options.compilerOptions] - Options the program was built with (sources.compilerOptions)
+ * @param {number} [options.outputLimit] - Output kept before it is cut off, see executeWithTimeout
+ * @returns {Promise<Object>} Process result plus peakMemoryKb, userTimeMs and sysTimeMs (null when
+ *   not measured), verdict (null on success) and crashReport (sanitizer report of a failed
+ *   sanitizer build, otherwise null)
+ */
+async function runProgram(language, filename, sandboxDir, input = "", { signal, compilerOptions = null, outputLimit } = {}) {
+  const usageFile = usageFileFor(sandboxDir);
+  const runStep = measureStep(programStep(language, filename, sandboxDir, compilerOptions), usageFile);
+  const result = await executeWithTimeout(runStep, runTimeoutFor(language), input, {
+    cwd: sandboxDir,
+    signal,
+    outputLimit,
+    ...sandboxProcessOptions(),
+  });
+  const usage = readUsage(usageFile);
+  const measured = {
+    peakMemoryKb: usage ? usage.maxRssKb : null,
+    userTimeMs: usage ? usage.userTimeMs : null,
+    sysTimeMs: usage ? usage.sysTimeMs : null,
+  };
+  if (succeeded(result)) {
+    recordRun(language, null, result.durationMs);
+    return { ...result, ...measured, verdict: null, crashReport: null };
+  }
+  const crashReport = crashReportFor(compilerOptions, result.stderr, sandboxDir);
+  // A long sanitizer report overflows the stderr cap without the program writing too much
+  const verdict = classifyRunFailure(crashReport ? { ...result, truncated: false } : result);
+  recordRun(language, verdict, result.durationMs);
+  return { ...result, ...measured, verdict, crashReport };
+}
+
+// --- Profiling ---
+const PROFILE_LIMITS = {
+  maxIterations: 10, // Runs of one profiled request; each one may take up to runTimeoutFor(language)
+};
+
+/**
+ * Validates the profiling options of a run request
+ *
+ * @function resolveProfile
+ * @param {Object} request - Request body
+ * @param {boolean} [request.profile] - Report timing and memory statistics of the run
+ * @param {number} [request.iterations=1] - How often to run the program for the statistics
+ * @returns {{profile?: {iterations: number}|null, error?: string}} Profiling options
+ *   (null when not requested), or a validation error message
+ */
+function resolveProfile({ profile, iterations } = {}) {
+  if (profile === undefined || profile === null || profile === false) {
+    return { profile: null };
+  }
+  if (profile !== true) return { error: "profile must be a boolean" };
+  if (iterations === undefined || iterations === null) return { profile: { iterations: 1 } };
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > PROFILE_LIMITS.maxIterations) {
+    return { error: `iterations must be an integer from 1 to ${PROFILE_LIMITS.maxIterations}` };
+  }
+  return { profile: { iterations } };
+}
+
+/**
+ * Min, median and max of a measurement over all runs
+ *
+ * @function summarize
+ * @param {Array<number|null>} values - One value per run
+ * @returns {{min: number, median: number, max: number}|null} Statistics, or null if any run
+ *   was not measured
+ */
+function summarize(values) {
+  if (values.some((value) => value === null || value === undefined)) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    min: sorted[0],
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Repeats a successful run until the requested iteration count and summarizes the measurements
+ *
+ * The first run is the one whose output was returned; the others use the same input and stop
+ * at the first failure, so `iterations` may be lower than requested.
+ *
+ * @async
+ * @function profileProgram
+ * @param {string} language - Programming language identifier
+ * @param {string} filename - Source file path returned by compileCode
+ * @param {string} sandboxDir - Per-request sandbox directory
+ * @param {string} input - Data written to the program's stdin
+ * @param {{wallMs: number, userTimeMs: number|null, sysTimeMs: number|null, peakMemoryKb: number|null}} firstRun -
+ *   Measurements of the run already done
+ * @param {Object} options
+ * @param {number} options.iterations - Requested number of runs, including the first
+ * @param {AbortSignal} [options.signal] - Stops the remaining runs when aborted
+ * @param {Object|null} [options.compilerOptions] - Options the program was built with
+ * @returns {Promise<{iterations: number, runs: Array<Object>, wallMs: Object, userTimeMs: Object|null,
+ *   sysTimeMs: Object|null, peakMemoryKb: Object|null}>} Per-run measurements and their min/median/max
+ * @throws {Error} code "ABORT_ERR" if cancelled
+ */
+async function profileProgram(language, filename, sandboxDir, input, firstRun, { iterations, signal, compilerOptions }) {
+  const runs = [firstRun];
+  while (runs.length < iterations) {
+    const run = await runProgram(language, filename, sandboxDir, input, { signal, compilerOptions });
+    if (signal && signal.aborted) throw cancellationError();
+    if (run.verdict) break;
+    runs.push({
+      wallMs: run.durationMs,
+      userTimeMs: run.userTimeMs,
+      sysTimeMs: run.sysTimeMs,
+      peakMemoryKb: run.peakMemoryKb,
+    });
+  }
+  return {
+    iterations: runs.length,
+    runs,
+    wallMs: summarize(runs.map((run) => run.wallMs)),
+    userTimeMs: summarize(runs.map((run) => run.userTimeMs)),
+    sysTimeMs: summarize(runs.map((run) => run.sysTimeMs)),
+    peakMemoryKb: summarize(runs.map((run) => run.peakMemoryKb)),
+  };
+}
+
+/**
+ * Executes code in a specified programming language with safety measures
+ *
+ * Result schema (shared by every run endpoint):
+ * - stdout / stderr: captured output of the phase that ran last
+ * - exitCode / signal: how that phase ended
+ * - phase: "compile" if compilation failed, otherwise "run"
+ * - timedOut / truncated: wall-clock limit hit / output cut off
+ * - compileTimeMs / runTimeMs: wall time per phase (null if the phase did not run)
+ * - compileCached: the build was restored from the compile cache instead of compiling
+ * - peakMemoryKb: peak resident memory of the program (null if unavailable)
+ * - verdict: null on success, otherwise e.g. "Compilation Error", "Runtime Error", "Memory Limit Exceeded"
+ * - diagnostics: compiler messages and the failing run's error location ({file, line, column, severity, message})
+ * - crashReport: parsed sanitizer report when a debug (sanitizer) build crashed, otherwise null
+ * - profile: timing and memory statistics of a profiled run that succeeded (see profileProgram), otherwise null
+ *
+ * @async
+ * @function executeCode
+ * @param {string} language - Programming language (python, javascript, java, cpp, c)
+ * @param {{files: Object<string, string>, entry: string, compilerOptions: Object|null}} sources - Output of resolveSources
+ * @param {string} sandboxDir - Per-request sandbox directory
+ * @param {string} [input=""] - Data written to the program's stdin
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the execution
+ * @param {{iterations: number}|null} [options.profile] - Profiling options from resolveProfile
+ * @returns {Promise<Object>} Structured execution result
+ * @throws {Error} If the language is not supported, or code "ABORT_ERR" if cancelled
+ */
+async function executeCode(language, sources, sandboxDir, input = "", { signal, profile = null } = {}) {
+  const { filename, compile } = await compileCode(language, sources, sandboxDir, { signal });
+  if (signal && signal.aborted) throw cancellationError();
+  const compileTimeMs = compile ? compile.durationMs : null;
+  // tsc reports on stdout, everything else on stderr
+  const compileDiagnostics = compile
+    ? parseDiagnostics(language, `${compile.stderr}\n${compile.stdout}`, sandboxDir)
+    : [];
+
+  if (compile && !succeeded(compile)) {
+    return {
+      stdout: compile.stdout,
+      stderr: compile.stderr,
+      exitCode: compile.exitCode,
+      signal: compile.signal,
+      phase: "compile",
+      timedOut: compile.timedOut,
+      truncated: compile.truncated,
+      compileTimeMs,
+      compileCached: Boolean(compile && compile.cached),
+      runTimeMs: null,
+      peakMemoryKb: null,
+      verdict: "Compilation Error",
+      diagnostics: compileDiagnostics,
+      crashReport: null,
+      profile: null,
+    };
+  }
+
+  const run = await runProgram(language, filename, sandboxDir, input, {
+    signal,
+    compilerOptions: sources.compilerOptions,
+  });
+  if (signal && signal.aborted) throw cancellationError();
+  const profileReport =
+    profile && !run.verdict
+      ? await profileProgram(
+          language,
+          filename,
+          sandboxDir,
+          input,
+          { wallMs: run.durationMs, userTimeMs: run.userTimeMs, sysTimeMs: run.sysTimeMs, peakMemoryKb: run.peakMemoryKb },
+          { iterations: profile.iterations, signal, compilerOptions: sources.compilerOptions }
+        )
+      : null;
+  return {
+    stdout: run.stdout,
+    stderr: run.stderr,
+    exitCode: run.exitCode,
+    signal: run.signal,
+    phase: "run",
+    timedOut: run.timedOut,
+    truncated: run.truncated,
+    compileTimeMs,
+    compileCached: Boolean(compile && compile.cached),
+    runTimeMs: run.durationMs,
+    peakMemoryKb: run.peakMemoryKb,
+    verdict: run.verdict,
+    diagnostics: run.verdict
+      ? [...compileDiagnostics, ...parseDiagnostics(language, run.stderr, sandboxDir)]
+      : compileDiagnostics,
+    crashReport: run.crashReport,
+    profile: profileReport,
+  };
+}
+
+
+
+/**
+ * Executes a request in a fresh sandbox once an execution worker is free
+ *
+ * @async
+ * @function executeInSandbox
+ * @param {string} language - Programming language identifier
+ * @param {{files: Object<string, string>, entry: string, compilerOptions: Object|null}} sources - Output of resolveSources
+ * @param {string} input - Data written to the program's stdin
+ * @param {Object} [options={}] - See acquireWorker (signal, onPosition, onStart), plus
+ *   profile (see executeCode)
+ * @returns {Promise<Object>} Structured result from executeCode plus a legacy
+ *   `output` field (stdout, or stderr when the run failed) for older clients
+ * @throws {Error} code "QUEUE_FULL" or "ABORT_ERR", see acquireWorker
+ */
+async function executeInSandbox(language, sources, input, { signal, onPosition, onStart, profile = null } = {}) {
+  return withWorker({ signal, onPosition, onStart }, async () => {
+    const sandboxDir = createTempDir();
+    try {
+      const result = await executeCode(language, sources, sandboxDir, input, { signal, profile });
+      const output = result.verdict
+        ? result.stderr || result.stdout
+        : result.stdout || result.stderr;
+      return { ...result, output };
+    } finally {
+      try {
+        fs.rmSync(sandboxDir, { recursive: true, force: true });
+      } catch (cleanupErr) {
+        console.error("Cleanup failed:", cleanupErr.message);
+      }
+    }
+  });
+}
+
+/**
+ * Generic handler for code execution across all supported languages
+ *
+ * Waits in the execution queue, then responds with the result of executeInSandbox.
+ * A client that disconnects first gives up its place (or stops its program).
+ *
+ * @async
+ * @function handleCodeExecution
+ * @param {string} language - Programming language identifier (python, javascript, java, cpp, c)
+ * @param {Object} request - Request body ({ code } or { files, entry }, plus optional input, profile
+ *   and roomId to publish the result to that collaboration room)
+ * @param {Object} res - Express response object for sending results
+ * @returns {Promise<void>} Sends execution results through response object
+ */
+async function handleCodeExecution(language, request, res) {
+  const { sources, error } = resolveSources(language, request);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { profile, error: profileError } = resolveProfile(request);
+  if (profileError) {
+    return res.status(400).json({ error: profileError });
+  }
+  if (request.input != null && typeof request.input !== "string") {
+    return res.status(400).json({ error: "input must be a string" });
+  }
+  const { room, error: roomError } = resolveRoom(request);
+  if (roomError) {
+    return res.status(400).json({ error: roomError });
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const result = await executeInSandbox(language, sources, request.input || "", {
+      signal: controller.signal,
+      profile,
+    });
+    // Everyone in the room sees the result, not just the participant who ran it
+    if (room) {
+      publishToRoom(room, "code-output", roomRunOutput(null, result));
+    }
+    res.json(result);
+  } catch (error) {
+    if (error.code === "ABORT_ERR") return; // Client is gone
+    if (error.code === "QUEUE_FULL") {
+      return res.status(503).json({ error: error.message });
+    }
+    console.error(`Execution error for ${language}:`, error);
+    res.json({ output: error.message || "An unknown error occurred." });
+  }
+}
+
+
+
+// --- Judge ---
+const JUDGE_LIMITS = {
+  maxTestCases: 50, // Maximum number of test cases per judge request
+};
+
+/**
+ * Normalizes program output for comparison: unifies line endings and ignores
+ * trailing whitespace on each line as well as trailing blank lines
+ *
+ * @function normalizeOutput
+ * @param {string} text - Raw output
+ * @returns {string} Normalized output
+ */
+function normalizeOutput(text) {
+  return String(text || "")
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/\s+$/, ""))
+    .join("\n")
+    .replace(/\n+$/, "");
+}
+
+/**
+ * Compiles the submission once and runs it against every test case
+ *
+ * Outputs are compared by the request's checker (see resolveChecker); a case whose checker
+ * explained its decision carries it as checkerMessage.
+ *
+ * @async
+ * @function judgeSubmission
+ * @param {string} language - Programming language identifier
+ * @param {{files: Object<string, string>, entry: string, compilerOptions: Object|null}} sources - Output of resolveSources
+ * @param {Array<{input: string, expectedOutput: string}>} testCases - Cases to run
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the remaining work
+ * @param {Object} [options.checker] - Output of resolveChecker (exact comparison by default)
+ * @returns {Promise<Object>} Overall verdict, pass count and per-case results
+ * @throws {Error} code "ABORT_ERR" if cancelled
+ */
+async function judgeSubmission(language, sources, testCases, { signal, checker = { type: "exact" } } = {}) {
+  const sandboxDir = createTempDir();
+  const results = [];
+  let prepared = null;
+  try {
+    const { filename, compile } = await compileCode(language, sources, sandboxDir, { signal });
+    if (signal && signal.aborted) throw cancellationError();
+    const compileTimeMs = compile ? compile.durationMs : null;
+    if (compile && !succeeded(compile)) {
+      return {
+        verdict: "Compilation Error",
+        passed: 0,
+        total: testCases.length,
+        compileTimeMs,
+        compileCached: Boolean(compile && compile.cached),
+        compileOutput: compile.stderr || compile.stdout,
+        diagnostics: parseDiagnostics(language, `${compile.stderr}\n${compile.stdout}`, sandboxDir),
+        results: testCases.map((_, index) => ({ index, verdict: "Compilation Error", timeMs: 0 })),
+      };
+    }
+
+    if (checker.type === "program") {
+      prepared = await prepareChecker(checker, { signal });
+      if (signal && signal.aborted) throw cancellationError();
+      if (prepared.error) {
+        return {
+          verdict: "Checker Error",
+          passed: 0,
+          total: testCases.length,
+          compileTimeMs,
+          compileCached: Boolean(compile && compile.cached),
+          checkerOutput: prepared.error,
+          results: [],
+        };
+      }
+    }
+
+    for (const [index, testCase] of testCases.entries()) {
+      const run = await runProgram(language, filename, sandboxDir, testCase.input || "", {
+        signal,
+        compilerOptions: sources.compilerOptions,
+      });
+      if (signal && signal.aborted) throw cancellationError();
+      const result = {
+        index,
+        verdict: run.verdict,
+        timeMs: run.durationMs,
+        peakMemoryKb: run.peakMemoryKb,
+        actualOutput: run.stdout,
+      };
+      if (!run.verdict) {
+        const check = await checkOutput(checker, prepared, testCase, run.stdout, { signal });
+        if (signal && signal.aborted) throw cancellationError();
+        result.verdict = check.verdict;
+        if (check.message) result.checkerMessage = check.message;
+      } else {
+        result.stderr = run.stderr;
+        result.crashReport = run.crashReport;
+      }
+      results.push(result);
+    }
+
+    const passed = results.filter((r) => r.verdict === "Accepted").length;
+    const firstFailure = results.find((r) => r.verdict !== "Accepted");
+    return {
+      verdict: firstFailure ? firstFailure.verdict : "Accepted",
+      passed,
+      total: testCases.length,
+      compileTimeMs,
+      compileCached: Boolean(compile && compile.cached),
+      results,
+    };
+  } finally {
+    for (const dir of [sandboxDir, prepared && prepared.sandboxDir]) {
+      if (!dir) continue;
+      try {
+        fs.rmSync(dir, { recursive: true, force: true });
+      } catch (cleanupErr) {
+        console.error("Cleanup failed:", cleanupErr.message);
+      }
+    }
+  }
+}
+
+// Body: { language, code | files, testCases: [{ input, expectedOutput }] }, optionally with a
+// checker for problems with several valid answers (see resolveChecker)
+app.post("/judge", async (req, res) => {
+  const { language, testCases } = req.body;
+  if (!languageConfigs[language]) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+  const { sources, error } = resolveSources(language, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    return res.status(400).json({ error: "testCases must be a non-empty array" });
+  }
+  if (testCases.length > JUDGE_LIMITS.maxTestCases) {
+    return res
+      .status(400)
+      .json({ error: `At most ${JUDGE_LIMITS.maxTestCases} test cases are allowed` });
+  }
+  if (testCases.some((tc) => !tc || typeof tc.expectedOutput !== "string")) {
+    return res.status(400).json({ error: "Each test case needs a string expectedOutput" });
+  }
+  if (testCases.some((tc) => tc.input != null && typeof tc.input !== "string")) {
+    return res.status(400).json({ error: "Test case input must be a string" });
+  }
+  const { checker, error: checkerError } = resolveChecker(req.body.checker);
+  if (checkerError) {
+    return res.status(400).json({ error: checkerError });
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const signal = controller.signal;
+    res.json(
+      await withWorker({ signal }, () => judgeSubmission(language, sources, testCases, { signal, checker }))
+    );
+  } catch (error) {
+    if (error.code === "ABORT_ERR") return; // Client is gone
+    if (error.code === "QUEUE_FULL") {
+      return res.status(503).json({ error: error.message });
+    }
+    console.error(`Judge error for ${language}:`, error);
+    res.status(500).json({ error: error.message || "An unknown error occurred." });
+  }
+});
+
+// --- Checkers ---
+const CHECKER_LIMITS = {
+  defaultTolerance: 1e-6, // float checker: allowed absolute (or, for large values, relative) error
+  maxMessageLength: 1000, // Checker feedback kept per test case
+};
+
+// Exit codes of checker programs; anything else (or a crash) is a Checker Error
+const CHECKER_EXIT_CODES = { accepted: 0, wrongAnswer: 1 };
+
+/**
+ * Whitespace-separated tokens of an output
+ *
+ * @function tokenize
+ * @param {string} text - Output
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return String(text || "")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Compares two token lists, each pair with the given predicate
+ *
+ * @function compareTokens
+ * @param {Array<string>} expected - Expected tokens
+ * @param {Array<string>} actual - Tokens of the program's output
+ * @param {Function} equal - (expected, actual) => boolean for one token pair
+ * @returns {{accepted: boolean, message?: string}} Outcome and the first difference
+ */
+function compareTokens(expected, actual, equal) {
+  const index = expected.findIndex((token, i) => i >= actual.length || !equal(token, actual[i]));
+  if (index !== -1) {
+    return index >= actual.length
+      ? { accepted: false, message: `Expected ${expected.length} tokens, found ${actual.length}` }
+      : { accepted: false, message: `Token ${index + 1}: expected "${expected[index]}", found "${actual[index]}"` };
+  }
+  if (actual.length > expected.length) {
+    return { accepted: false, message: `Expected ${expected.length} tokens, found ${actual.length}` };
+  }
+  return { accepted: true };
+}
+
+// Built-in checkers: (expectedOutput, actualOutput, checker) => { accepted, message? }
+const outputCheckers = {
+  // Line by line, ignoring trailing whitespace and trailing blank lines
+  exact: (expected, actual) => ({ accepted: normalizeOutput(actual) === normalizeOutput(expected) }),
+  // Same tokens in the same order, however they are spaced or split across lines
+  tokens: (expected, actual) => compareTokens(tokenize(expected), tokenize(actual), (a, b) => a === b),
+  // Like tokens, but numbers may differ by the checker's tolerance
+  float: (expected, actual, { tolerance }) =>
+    compareTokens(tokenize(expected), tokenize(actual), (a, b) => {
+      if (a === b) return true;
+      const want = Number(a);
+      const got = Number(b);
+      if (!Number.isFinite(want) || !Number.isFinite(got)) return false;
+      return Math.abs(want - got) <= tolerance * Math.max(1, Math.abs(want));
+    }),
+  // The same lines in any order (e.g. "print all duplicates")
+  unordered: (expected, actual) => {
+    const lines = (text) => (normalizeOutput(text) ? normalizeOutput(text).split("\n") : []);
+    const remaining = lines(expected);
+    for (const line of lines(actual)) {
+      const index = remaining.indexOf(line);
+      if (index === -1) return { accepted: false, message: `Unexpected line "${line}"` };
+      remaining.splice(index, 1);
+    }
+    return remaining.length
+      ? { accepted: false, message: `Missing line "${remaining[0]}"` }
+      : { accepted: true };
+  },
+};
+
+/**
+ * Validates the checker of a judge request
+ *
+ * Built-in types are exact (the default), tokens, float ({ tolerance }) and unordered.
+ * A "program" checker ({ language, code }) is compiled like a submission and run once per
+ * test case with input.txt, expected.txt and output.txt in its working directory; it exits
+ * with 0 to accept, 1 to reject, and may print a message explaining its decision to stdout.
+ * Output on stderr means the checker itself failed (e.g. an uncaught exception, which exits
+ * with 1 in several runtimes).
+ *
+ * @function resolveChecker
+ * @param {Object} [checker] - checker field of the request
+ * @returns {{checker?: Object, error?: string}} Normalized checker, or a validation error message
+ */
+function resolveChecker(checker) {
+  if (checker === undefined || checker === null) return { checker: { type: "exact" } };
+  if (typeof checker !== "object") return { error: "checker must be an object" };
+  const { type } = checker;
+
+  if (type === "program") {
+    if (!languageConfigs[checker.language]) {
+      return { error: `Unsupported checker language: ${checker.language}` };
+    }
+    const { sources, error } = resolveSources(checker.language, { code: checker.code });
+    if (error) return { error: `Checker: ${error}` };
+    return { checker: { type, language: checker.language, sources } };
+  }
+  if (!outputCheckers[type]) {
+    return { error: `checker type must be one of: ${[...Object.keys(outputCheckers), "program"].join(", ")}` };
+  }
+  if (type === "float") {
+    const { tolerance = CHECKER_LIMITS.defaultTolerance } = checker;
+    if (typeof tolerance !== "number" || !(tolerance >= 0 && tolerance < 1)) {
+      return { error: "checker tolerance must be a number from 0 up to (not including) 1" };
+    }
+    return { checker: { type, tolerance } };
+  }
+  return { checker: { type } };
+}
+
+/**
+ * Compiles a program checker in its own sandbox
+ *
+ * @async
+ * @function prepareChecker
+ * @param {Object} checker - Output of resolveChecker with type "program"
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Stops the compiler when aborted
+ * @returns {Promise<{sandboxDir: string, filename?: string, error?: string}>} Where the checker
+ *   is ready to run, or its compiler output; the caller removes sandboxDir
+ */
+async function prepareChecker(checker, { signal } = {}) {
+  const sandboxDir = createTempDir();
+  const { filename, compile } = await compileCode(checker.language, checker.sources, sandboxDir, { signal });
+  if (compile && !succeeded(compile)) {
+    return { sandboxDir, error: compile.stderr || compile.stdout };
+  }
+  return { sandboxDir, filename };
+}
+
+/**
+ * Decides whether a program's output answers a test case
+ *
+ * @async
+ * @function checkOutput
+ * @param {Object} checker - Output of resolveChecker
+ * @param {Object|null} prepared - Output of prepareChecker for program checkers, otherwise null
+ * @param {{input: string, expectedOutput: string}} testCase - Test case that was run
+ * @param {string} actualOutput - The program's stdout
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Stops the checker when aborted
+ * @returns {Promise<{verdict: string, message?: string}>} "Accepted", "Wrong Answer" or, when a
+ *   checker program fails, "Checker Error"; message is the checker's explanation, if any
+ */
+async function checkOutput(checker, prepared, testCase, actualOutput, { signal } = {}) {
+  if (checker.type !== "program") {
+    const { accepted, message } = outputCheckers[checker.type](testCase.expectedOutput, actualOutput, checker);
+    return { verdict: accepted ? "Accepted" : "Wrong Answer", ...(message ? { message } : {}) };
+  }
+
+  const { sandboxDir, filename } = prepared;
+  fs.writeFileSync(path.join(sandboxDir, "input.txt"), testCase.input || "", { mode: 0o644 });
+  fs.writeFileSync(path.join(sandboxDir, "expected.txt"), testCase.expectedOutput, { mode: 0o644 });
+  fs.writeFileSync(path.join(sandboxDir, "output.txt"), actualOutput, { mode: 0o644 });
+  const run = await runProgram(checker.language, filename, sandboxDir, "", {
+    signal,
+    compilerOptions: checker.sources.compilerOptions,
+  });
+  const decided = !run.timedOut && !run.signal && !run.stderr.trim();
+  const message = (decided ? run.stdout : run.stderr || run.stdout)
+    .trim()
+    .slice(0, CHECKER_LIMITS.maxMessageLength);
+  if (decided && run.exitCode === CHECKER_EXIT_CODES.accepted) {
+    return { verdict: "Accepted", ...(message ? { message } : {}) };
+  }
+  if (decided && run.exitCode === CHECKER_EXIT_CODES.wrongAnswer) {
+    return { verdict: "Wrong Answer", ...(message ? { message } : {}) };
+  }
+  return { verdict: "Checker Error", message: message || run.verdict || `Checker exited with code ${run.exitCode}` };
+}
+
+// --- Benchmark ---
+const BENCHMARK_LIMITS = {
+  minSizes: 3, // Points needed to fit a curve
+  maxSizes: 12,
+  maxRepetitions: 5, // Runs per size; the fastest one counts
+  maxInputBytes: 8 * 1024 * 1024, // Largest input a generator may print (or a request may carry in total)
+};
+
+// Candidate growth functions, simplest first; ties go to the simpler class
+const COMPLEXITY_CLASSES = [
+  { name: "O(1)", growth: () => 1 },
+  { name: "O(log n)", growth: (n) => Math.log2(n) },
+  { name: "O(n)", growth: (n) => n },
+  { name: "O(n log n)", growth: (n) => n * Math.log2(n) },
+  { name: "O(n²)", growth: (n) => n * n },
+  { name: "O(n³)", growth: (n) => n * n * n },
+  { name: "O(2ⁿ)", growth: (n) => 2 ** n },
+];
+
+// A fit counts as tied with the best one when its error is at most this much larger
+const COMPLEXITY_TIE_TOLERANCE = 0.05;
+const COMPLEXITY_CURVE_SAMPLES = 32; // Points of the fitted curve returned for plotting
+
+/**
+ * Validates the inputs of a benchmark request
+ *
+ * Either `sizes` plus a `generator` program that reads a size from stdin and prints the
+ * input of that size, or ready-made `inputs` ({ size, input }). Sizes must increase.
+ *
+ * @function resolveBenchmarkInputs
+ * @param {Object} request - Request body
+ * @param {Array<number>} [request.sizes] - Input sizes to generate
+ * @param {{language: string, code: string}} [request.generator] - Generator program
+ * @param {Array<{size: number, input: string}>} [request.inputs] - Inputs of increasing size
+ * @param {number} [request.repetitions=1] - Runs per size
+ * @returns {{benchmark?: {sizes: Array<number>, inputs: Array<string>|null, generator: Object|null,
+ *   repetitions: number}, error?: string}} Validated benchmark, or a validation error message
+ */
+function resolveBenchmarkInputs({ sizes, generator, inputs, repetitions = 1 } = {}) {
+  if (!Number.isInteger(repetitions) || repetitions < 1 || repetitions > BENCHMARK_LIMITS.maxRepetitions) {
+    return { error: `repetitions must be an integer from 1 to ${BENCHMARK_LIMITS.maxRepetitions}` };
+  }
+
+  let benchmark;
+  if (inputs !== undefined) {
+    if (!Array.isArray(inputs) || inputs.some((item) => !item || typeof item.input !== "string")) {
+      return { error: "inputs must be an array of { size, input } with string inputs" };
+    }
+    if (inputs.reduce((total, item) => total + item.input.length, 0) > BENCHMARK_LIMITS.maxInputBytes) {
+      return { error: `inputs must not exceed ${BENCHMARK_LIMITS.maxInputBytes} bytes in total` };
+    }
+    benchmark = {
+      sizes: inputs.map((item) => item.size),
+      inputs: inputs.map((item) => item.input),
+      generator: null,
+      repetitions,
+    };
+  } else {
+    if (!generator || typeof generator !== "object" || !languageConfigs[generator.language]) {
+      return { error: "Provide inputs, or sizes with a generator { language, code }" };
+    }
+    const { sources, error } = resolveSources(generator.language, { code: generator.code });
+    if (error) return { error: `Generator: ${error}` };
+    benchmark = {
+      sizes,
+      inputs: null,
+      generator: { language: generator.language, sources },
+      repetitions,
+    };
+  }
+
+  const { sizes: points } = benchmark;
+  const { minSizes, maxSizes } = BENCHMARK_LIMITS;
+  if (!Array.isArray(points) || points.length < minSizes || points.length > maxSizes) {
+    return { error: `Between ${minSizes} and ${maxSizes} sizes are required` };
+  }
+  const increasing = (size, index) => index === 0 || size > points[index - 1];
+  if (points.some((size, index) => !Number.isInteger(size) || size < 1 || !increasing(size, index))) {
+    return { error: "sizes must be increasing positive integers" };
+  }
+  return { benchmark };
+}
+
+/**
+ * Fits timings to the common complexity classes
+ *
+ * Each class is fitted as time ≈ coefficient · growth(n) + constant by least squares; the
+ * constant absorbs process start-up. The best class has the lowest RMS error, preferring the
+ * simpler class when errors are within COMPLEXITY_TIE_TOLERANCE.
+ *
+ * @function fitComplexity
+ * @param {Array<{size: number, timeMs: number}>} points - Measured points
+ * @returns {{best: string, fits: Array<{name: string, coefficient: number, constant: number, rmse: number}>,
+ *   curve: Array<{size: number, timeMs: number}>}} Best class, every plausible fit (best first) and the
+ *   best fit sampled across the measured range for plotting
+ */
+function fitComplexity(points) {
+  const times = points.map((point) => point.timeMs);
+  const meanTime = times.reduce((sum, time) => sum + time, 0) / times.length;
+
+  const fits = [];
+  for (const { name, growth } of COMPLEXITY_CLASSES) {
+    const xs = points.map((point) => growth(point.size));
+    if (xs.some((x) => !Number.isFinite(x))) continue; // e.g. 2ⁿ of large sizes
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const varianceX = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    const coefficient =
+      varianceX === 0 ? 0 : xs.reduce((sum, x, i) => sum + (x - meanX) * (times[i] - meanTime), 0) / varianceX;
+    // Time cannot shrink as the input grows
+    if (coefficient < 0) continue;
+    const constant = meanTime - coefficient * meanX;
+    const rmse = Math.sqrt(
+      xs.reduce((sum, x, i) => sum + (coefficient * x + constant - times[i]) ** 2, 0) / xs.length
+    );
+    // Growth values too close to the float limit overflow the sums (e.g. 2ⁿ of close sizes near 1000)
+    if (![varianceX, coefficient, rmse].every(Number.isFinite)) continue;
+    fits.push({ name, coefficient, constant, rmse, growth });
+  }
+
+  const lowest = Math.min(...fits.map((fit) => fit.rmse));
+  const best = fits.find((fit) => fit.rmse <= lowest * (1 + COMPLEXITY_TIE_TOLERANCE) + 1e-9);
+  const first = points[0].size;
+  const last = points[points.length - 1].size;
+  const curve = Array.from({ length: COMPLEXITY_CURVE_SAMPLES }, (_, i) => {
+    const size = first + ((last - first) * i) / (COMPLEXITY_CURVE_SAMPLES - 1);
+    return { size, timeMs: best.coefficient * best.growth(size) + best.constant };
+  });
+  return {
+    best: best.name,
+    fits: [best, ...fits.filter((fit) => fit !== best).sort((a, b) => a.rmse - b.rmse)].map(
+      ({ growth, ...fit }) => fit
+    ),
+    curve,
+  };
+}
+
+/**
+ * Generates the benchmark inputs by running the generator once per size
+ *
+ * @async
+ * @function generateBenchmarkInputs
+ * @param {{language: string, sources: Object}} generator - Resolved generator program
+ * @param {Array<number>} sizes - Sizes to generate, written to the generator's stdin
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the remaining work
+ * @returns {Promise<{inputs?: Array<string>, error?: string}>} One input per size, or why generating failed
+ * @throws {Error} code "ABORT_ERR" if cancelled
+ */
+async function generateBenchmarkInputs(generator, sizes, { signal } = {}) {
+  const sandboxDir = createTempDir();
+  try {
+    const { filename, compile } = await compileCode(generator.language, generator.sources, sandboxDir, { signal });
+    if (signal && signal.aborted) throw cancellationError();
+    if (compile && !succeeded(compile)) {
+      return { error: `Generator failed to compile:\n${compile.stderr || compile.stdout}` };
+    }
+
+    const inputs = [];
+    for (const size of sizes) {
+      const run = await runProgram(generator.language, filename, sandboxDir, `${size}\n`, {
+        signal,
+        compilerOptions: generator.sources.compilerOptions,
+        outputLimit: BENCHMARK_LIMITS.maxInputBytes,
+      });
+      if (signal && signal.aborted) throw cancellationError();
+      if (run.truncated) {
+        return { error: `Generator output for n=${size} exceeds ${BENCHMARK_LIMITS.maxInputBytes} bytes` };
+      }
+      if (run.verdict) {
+        return { error: `Generator failed for n=${size} (${run.verdict}):\n${run.stderr}` };
+      }
+      inputs.push(run.stdout);
+    }
+    return { inputs };
+  } finally {
+    try {
+      fs.rmSync(sandboxDir, { recursive: true, force: true });
+    } catch (cleanupErr) {
+      console.error("Cleanup failed:", cleanupErr.message);
+    }
+  }
+}
+
+/**
+ * Runs the solution on inputs of increasing size and estimates its complexity
+ *
+ * Each point's timeMs is the program's CPU time (user + sys) when measured, otherwise its wall
+ * time, taking the fastest of the repetitions. Sizes after the first failing run (e.g. a time
+ * limit) are skipped; the curve is fitted to the points that passed.
+ *
+ * @async
+ * @function benchmarkSubmission
+ * @param {string} language - Programming language identifier
+ * @param {{files: Object<string, string>, entry: string, compilerOptions: Object|null}} sources - Output of resolveSources
+ * @param {Object} benchmark - Output of resolveBenchmarkInputs
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the remaining work
+ * @returns {Promise<Object>} { verdict, compileTimeMs, compileCached, points, complexity, error? };
+ *   complexity is null when fewer than BENCHMARK_LIMITS.minSizes points passed
+ * @throws {Error} code "ABORT_ERR" if cancelled
+ */
+async function benchmarkSubmission(language, sources, benchmark, { signal } = {}) {
+  let inputs = benchmark.inputs;
+  if (benchmark.generator) {
+    const generated = await generateBenchmarkInputs(benchmark.generator, benchmark.sizes, { signal });
+    if (generated.error) {
+      return { verdict: "Generator Error", error: generated.error, points: [], complexity: null };
+    }
+    inputs = generated.inputs;
+  }
+
+  const sandboxDir = createTempDir();
+  try {
+    const { filename, compile } = await compileCode(language, sources, sandboxDir, { signal });
+    if (signal && signal.aborted) throw cancellationError();
+    const compileTimeMs = compile ? compile.durationMs : null;
+    if (compile && !succeeded(compile)) {
+      return {
+        verdict: "Compilation Error",
+        compileTimeMs,
+        compileCached: Boolean(compile && compile.cached),
+        error: compile.stderr || compile.stdout,
+        diagnostics: parseDiagnostics(language, `${compile.stderr}\n${compile.stdout}`, sandboxDir),
+        points: [],
+        complexity: null,
+      };
+    }
+
+    const points = [];
+    let verdict = null;
+    for (const [index, size] of benchmark.sizes.entries()) {
+      const point = {
+        size,
+        inputBytes: inputs[index].length,
+        timeMs: null,
+        wallMs: null,
+        peakMemoryKb: null,
+        verdict: null,
+      };
+      for (let repetition = 0; repetition < benchmark.repetitions; repetition++) {
+        const run = await runProgram(language, filename, sandboxDir, inputs[index], {
+          signal,
+          compilerOptions: sources.compilerOptions,
+        });
+        if (signal && signal.aborted) throw cancellationError();
+        if (run.verdict) {
+          point.verdict = run.verdict;
+          break;
+        }
+        const timeMs = run.userTimeMs === null ? run.durationMs : run.userTimeMs + run.sysTimeMs;
+        if (point.timeMs === null || timeMs < point.timeMs) {
+          point.timeMs = timeMs;
+          point.wallMs = run.durationMs;
+          point.peakMemoryKb = run.peakMemoryKb;
+        }
+      }
+      points.push(point);
+      if (point.verdict) {
+        verdict = point.verdict;
+        break;
+      }
+    }
+
+    const passed = points.filter((point) => !point.verdict);
+    return {
+      verdict,
+      compileTimeMs,
+      compileCached: Boolean(compile && compile.cached),
+      points,
+      complexity: passed.length >= BENCHMARK_LIMITS.minSizes ? fitComplexity(passed) : null,
+    };
+  } finally {
+    try {
+      fs.rmSync(sandboxDir, { recursive: true, force: true });
+    } catch (cleanupErr) {
+      console.error("Cleanup failed:", cleanupErr.message);
+    }
+  }
+}
+
+// Body: same sources as POST /judge, plus either { sizes, generator: { language, code } }
+// or { inputs: [{ size, input }] }, and optionally repetitions (see resolveBenchmarkInputs)
+app.post("/benchmark", async (req, res) => {
+  const { language } = req.body;
+  if (!languageConfigs[language]) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+  const { sources, error } = resolveSources(language, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { benchmark, error: benchmarkError } = resolveBenchmarkInputs(req.body);
+  if (benchmarkError) {
+    return res.status(400).json({ error: benchmarkError });
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const signal = controller.signal;
+    res.json(await withWorker({ signal }, () => benchmarkSubmission(language, sources, benchmark, { signal })));
+  } catch (error) {
+    if (error.code === "ABORT_ERR") return; // Client is gone
+    if (error.code === "QUEUE_FULL") {
+      return res.status(503).json({ error: error.message });
+    }
+    console.error(`Benchmark error for ${language}:`, error);
+    res.status(500).json({ error: error.message || "An unknown error occurred." });
+  }
+});
+
+// --- Language Registry ---
+// Failed version probes are retried after retryDelay, doubling per failure up to maxRetryDelay,
+// so a toolchain that was slow or installed late is picked up without a restart
+const VERSION_PROBE = {
+  retryDelay: 30 * 1000,
+  maxRetryDelay: 10 * 60 * 1000,
+};
+
+// Languages the deployment serves, checked by /ready: RUNNER_REQUIRED_LANGUAGES as comma-separated
+// ids (e.g. "python,javascript,cpp"), or every language when unset. Unknown ids are always missing.
+const REQUIRED_LANGUAGES = process.env.RUNNER_REQUIRED_LANGUAGES
+  ? process.env.RUNNER_REQUIRED_LANGUAGES.split(",").map((id) => id.trim()).filter(Boolean)
+  : Object.keys(languageConfigs);
+
+const toolchainVersions = new Map(); // language id -> { version, probe, failures, retryAt }
+
+/**
+ * Resolves the version string of a language's toolchain
+ *
+ * @async
+ * @function detectVersion
+ * @param {Object} config - Language config with a versionStep
+ * @returns {Promise<string|null>} First line of the version output, or null if unavailable
+ */
+async function detectVersion(config) {
+  if (!config.versionStep) return null;
+  const result = await executeWithTimeout(config.versionStep, SECURITY_CONFIG.timeouts.versionProbe);
+  if (!succeeded(result)) return null;
+  const line = `${result.stdout}\n${result.stderr}`
+    .split("\n")
+    .map((l) => l.trim())
+    .find(Boolean);
+  return line || null;
+}
+
+/**
+ * Resolves a language's toolchain version, probing it when needed
+ *
+ * A found version is kept for the life of the process. A failed probe answers null
+ * until its retry time (see VERSION_PROBE), after which the next call probes again;
+ * concurrent calls share one probe.
+ *
+ * @async
+ * @function probeVersion
+ * @param {string} id - Language id (a key of languageConfigs)
+ * @returns {Promise<string|null>} Version, or null while the toolchain is unavailable
+ */
+async function probeVersion(id) {
+  if (!toolchainVersions.has(id)) {
+    toolchainVersions.set(id, { version: null, probe: null, failures: 0, retryAt: 0 });
+  }
+  const entry = toolchainVersions.get(id);
+  if (entry.version !== null) return entry.version;
+  if (!entry.probe && Date.now() >= entry.retryAt) {
+    entry.probe = detectVersion(languageConfigs[id])
+      .catch(() => null)
+      .then((version) => {
+        entry.probe = null;
+        entry.version = version;
+        if (version === null) {
+          entry.failures += 1;
+          const delay = VERSION_PROBE.retryDelay * 2 ** (entry.failures - 1);
+          entry.retryAt = Date.now() + Math.min(delay, VERSION_PROBE.maxRetryDelay);
+        }
+        return version;
+      });
+  }
+  return entry.probe || null;
+}
+
+/**
+ * Lists the supported languages with their display metadata
+ * Versions come from probeVersion, so a missing toolchain is looked for again
+ * once its retry time has passed. compilerOptions is the schema
+ * of the options run requests may set (null if the language has none); debugRun
+ * tells whether requests may ask for a debug (sanitizer) run, and stepDebugger
+ * whether programs can be stepped through in a debug session (debug-start).
+ *
+ * @function listLanguages
+ * @returns {Promise<Array<{id: string, name: string, version: string|null, extension: string, prism: string, compilerOptions: Object|null, debugRun: boolean, stepDebugger: boolean}>>}
+ */
+function listLanguages() {
+  return Promise.all(
+    Object.entries(languageConfigs).map(async ([id, config]) => ({
+      id,
+      name: config.name,
+      version: await probeVersion(id),
+      extension: config.extension,
+      prism: config.prism,
+      compilerOptions: config.compilerOptions || null,
+      debugRun: Boolean(config.debugCompilerOptions),
+      stepDebugger: Boolean(config.debugStep),
+    }))
+  );
+}
+
+app.get("/languages", async (req, res) => {
+  try {
+    res.json({ languages: await listLanguages() });
+  } catch (error) {
+    console.error("Language listing failed:", error);
+    res.status(500).json({ error: error.message || "An unknown error occurred." });
+  }
+});
+
+// Allowlisted packages user programs can import; ?language= narrows the list
+app.get("/packages", (req, res) => {
+  const { language } = req.query;
+  if (language && !languageConfigs[language]) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+  res.json({ packages: listPackages(language) });
+});
+
+// --- Health Endpoints ---
+// Liveness: the process is up and serving requests (also pinged by the frontend to wake a cold runner)
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: the toolchain of every required language (REQUIRED_LANGUAGES) is installed. A missing
+// one answers 503 and is listed in `missing` until a later probe finds it (see probeVersion);
+// other languages are reported but do not affect readiness.
+app.get("/ready", async (req, res) => {
+  try {
+    const toolchains = (await listLanguages()).map(({ id, name, version }) => ({
+      id,
+      name,
+      required: REQUIRED_LANGUAGES.includes(id),
+      installed: version !== null,
+      version,
+    }));
+    const installed = new Set(toolchains.filter((toolchain) => toolchain.installed).map((toolchain) => toolchain.id));
+    const missing = REQUIRED_LANGUAGES.filter((id) => !installed.has(id));
+    res.status(missing.length ? 503 : 200).json({
+      status: missing.length ? "unavailable" : "ready",
+      executor: activeExecutor.name,
+      missing,
+      toolchains,
+    });
+  } catch (error) {
+    console.error("Readiness check failed:", error);
+    res.status(503).json({ status: "unavailable", error: error.message || "An unknown error occurred." });
+  }
+});
+
+// Prometheus scrape endpoint (see renderMetrics)
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// --- Run Endpoint ---
+// Body: { language, code, input } or { language, files, entry, input } for multi-file projects,
+// optionally with compilerOptions and debug (see GET /languages for what each language accepts)
+// and profile / iterations for timing and memory statistics (see resolveProfile). With roomId and
+// roomTicket the result is also published to that collaboration room (see resolveRoom)
+app.post("/run", (req, res) => {
+  const { language } = req.body;
+  if (!languageConfigs[language]) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+  handleCodeExecution(language, req.body, res);
+});
+
+// Legacy per-language routes (/run-python, /run-cpp, ...) kept for older clients
+Object.keys(languageConfigs).forEach((language) => {
+  app.post(`/run-${language}`, (req, res) => handleCodeExecution(language, req.body, res));
+});
+
+// --- Jobs API ---
+// jobId -> job; finished jobs are dropped after queue.jobRetentionMs
+const jobs = new Map();
+
+/**
+ * Public view of a job as returned by the /jobs endpoints
+ *
+ * @function describeJob
+ * @param {Object} job - Internal job record
+ * @returns {Object} { jobId, status, language, position?, result?, error?, timestamps }
+ */
+function describeJob(job) {
+  const view = {
+    jobId: job.id,
+    status: job.status, // queued | running | completed | failed | cancelled
+    language: job.language,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+  if (job.status === "queued") view.position = job.position;
+  if (job.result) view.result = job.result;
+  if (job.error) view.error = job.error;
+  return view;
+}
+
+/**
+ * Queues an execution and tracks it as a job until it finishes
+ *
+ * @function startJob
+ * @param {string} language - Programming language identifier
+ * @param {{files: Object<string, string>, entry: string, compilerOptions: Object|null}} sources - Output of resolveSources
+ * @param {string} input - Data written to the program's stdin
+ * @param {{iterations: number}|null} profile - Profiling options from resolveProfile
+ * @returns {Object} The job record
+ */
+function startJob(language, sources, input, profile) {
+  const job = {
+    id: `job_${crypto.randomBytes(8).toString("hex")}`,
+    status: "queued",
+    language,
+    position: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    controller: new AbortController(),
+  };
+  jobs.set(job.id, job);
+
+  const signal = job.controller.signal;
+  executeInSandbox(language, sources, input, {
+    signal,
+    profile,
+    onPosition: (position) => {
+      job.position = position;
+    },
+    onStart: () => {
+      job.status = "running";
+      job.position = null;
+      job.startedAt = Date.now();
+    },
+  })
+    .then((result) => {
+      if (signal.aborted) return; // Deleted while finishing up
+      job.status = "completed";
+      job.result = result;
+    })
+    .catch((error) => {
+      if (error.code === "ABORT_ERR") {
+        job.status = "cancelled";
+        return;
+      }
+      console.error(`Job ${job.id} failed:`, error);
+      job.status = "failed";
+      job.error = error.message || "An unknown error occurred.";
+    })
+    .finally(() => {
+      job.finishedAt = Date.now();
+      setTimeout(() => jobs.delete(job.id), SECURITY_CONFIG.queue.jobRetentionMs).unref();
+    });
+
+  return job;
+}
+
+// Body: same as POST /run; responds 202 with the job id right away
+app.post("/jobs", (req, res) => {
+  const { language } = req.body;
+  if (!languageConfigs[language]) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+  const { sources, error } = resolveSources(language, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { profile, error: profileError } = resolveProfile(req.body);
+  if (profileError) {
+    return res.status(400).json({ error: profileError });
+  }
+  if (isQueueFull()) {
+    return res.status(503).json({ error: "The runner is busy, please try again shortly" });
+  }
+
+  const job = startJob(language, sources, req.body.input || "", profile);
+  res.status(202).json(describeJob(job));
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(describeJob(job));
+});
+
+// Cancels a queued job or stops a running one; finished jobs are left as they are
+app.delete("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status === "queued" || job.status === "running") {
+    job.status = "cancelled";
+    job.controller.abort();
+  }
+  res.json(describeJob(job));
+});
+
+// --- Admin API ---
+// Admin endpoints are disabled unless ADMIN_TOKEN is set. Programs and compilers never see it
+// (see SECURITY_CONFIG.childEnv).
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+/**
+ * Middleware that only lets requests with `Authorization: Bearer <ADMIN_TOKEN>` through
+ *
+ * @function requireAdmin
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: "Admin endpoints are disabled" });
+  }
+  const provided = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  // Compare digests so the check takes the same time whatever the token length
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  if (!crypto.timingSafeEqual(digest(provided), digest(ADMIN_TOKEN))) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+}
+
+app.get("/admin/compile-cache", requireAdmin, (req, res) => {
+  res.json({
+    enabled: COMPILE_CACHE.enabled,
+    entries: compileCacheEntries.size,
+    bytes: compileCacheStats.bytes,
+    maxBytes: COMPILE_CACHE.maxBytes,
+    hits: compileCacheStats.hits,
+    misses: compileCacheStats.misses,
+  });
+});
+
+app.delete("/admin/compile-cache", requireAdmin, (req, res) => {
+  const flushed = flushCompileCache();
+  console.log(`Compile cache flushed: ${flushed.entries} entries, ${flushed.bytes} bytes`);
+  res.json({ flushed });
+});
+
+// --- Streaming Execution ---
+const STREAM_LIMITS = {
+  maxOutputBytes: 1024 * 1024, // Stop the program once it has streamed this much output
+  stderrTailBytes: 16 * 1024, // stderr kept for verdicts, diagnostics and sanitizer reports
+  maxInteractiveRuns: 8, // Interactive runs at the same time; they wait on people typing, so they do not keep a worker
+};
+
+/**
+ * Compiles code and runs it with spawn, emitting output chunks as they arrive
+ *
+ * Waits for an execution worker first, like every other execution. Interactive
+ * runs hand it back once their program has started, since it mostly waits for
+ * input; STREAM_LIMITS.maxInteractiveRuns caps them instead (see run-code).
+ *
+ * Emits:
+ * - run-started { runId }
+ * - run-queued { runId, position } while waiting for a worker (position is 1-based)
+ * - run-dequeued { runId } once a worker picked up a run that had to wait
+ * - run-stdout / run-stderr { runId, chunk, phase }
+ * - run-exit { runId, exitCode, signal, phase, timedOut, truncated, verdict,
+ *              compileTimeMs, compileCached, runTimeMs, peakMemoryKb, diagnostics, crashReport, profile }
+ *              (same fields as executeCode results)
+ *
+ * @function streamExecution
+ * @param {Function} emit - (event, data) callback, usually bound to the requesting socket
+ * @param {Object} params - Run request
+ * @param {string} params.runId - Client-chosen id echoed on every event
+ * @param {string} params.language - Programming language identifier
+ * @param {{files: Object<string, string>, entry: string}} params.sources - Output of resolveSources
+ * @param {string} [params.input=""] - Data written to the program's stdin
+ * @param {boolean} [params.interactive=false] - Keep stdin open so more input can be written later
+ * @param {{iterations: number}|null} [params.profile=null] - Profiling options from resolveProfile;
+ *   the repeated runs are not streamed, only their statistics are added to run-exit
+ * @returns {{kill: Function, done: Promise<void>, write: Function, endInput: Function}}
+ *          Handle to stop the run, await its exit and feed stdin in interactive mode
+ */
+function streamExecution(emit, { runId, language, sources, input = "", interactive = false, profile = null }) {
+  const sandboxDir = createTempDir();
+  let child = null;
+  let killed = false;
+  // Aborted by kill() to leave the queue or stop the compiler
+  const abortController = new AbortController();
+  // Input written while the program is still compiling; flushed once it starts
+  const pendingInput = [];
+  let inputEnded = false;
+  // Restarts the idle timer of a running interactive program
+  let inputActivity = () => {};
+  // Returns the execution worker; set once one is assigned
+  let releaseWorker = () => {};
+
+  const write = (data) => {
+    if (inputEnded) return;
+    inputActivity();
+    if (child) {
+      child.stdin.write(data);
+    } else {
+      pendingInput.push(data);
+    }
+  };
+
+  const endInput = () => {
+    if (inputEnded) return;
+    inputEnded = true;
+    inputActivity();
+    if (child) child.stdin.end();
+  };
+
+  const kill = () => {
+    killed = true;
+    abortController.abort();
+    // Kill the whole process group (wrappers + program)
+    if (child) activeExecutor.kill(child);
+  };
+
+  const cleanupSandbox = () => {
+    try {
+      fs.rmSync(sandboxDir, { recursive: true, force: true });
+    } catch (cleanupErr) {
+      console.error("Cleanup failed:", cleanupErr.message);
+    }
+  };
+
+  // Exit event for a run stopped before its program started
+  const emitStopped = (compileTimeMs = null, diagnostics = [], compileCached = false) =>
+    emit("run-exit", {
+      runId,
+      exitCode: null,
+      signal: "SIGKILL",
+      phase: "run",
+      timedOut: false,
+      truncated: false,
+      verdict: null,
+      compileTimeMs,
+      compileCached,
+      runTimeMs: null,
+      peakMemoryKb: null,
+      diagnostics,
+      crashReport: null,
+      profile: null,
+    });
+
+  const compileAndRun = async () => {
+    let filename;
+    let compile;
+    try {
+      ({ filename, compile } = await compileCode(language, sources, sandboxDir, {
+        signal: abortController.signal,
+      }));
+    } catch (error) {
+      cleanupSandbox();
+      throw error;
+    }
+    const compileTimeMs = compile ? compile.durationMs : null;
+    const compileDiagnostics = compile
+      ? parseDiagnostics(language, `${compile.stderr}\n${compile.stdout}`, sandboxDir)
+      : [];
+
+    if (killed) {
+      cleanupSandbox();
+      emitStopped(compileTimeMs, compileDiagnostics, Boolean(compile && compile.cached));
+      return;
+    }
+
+    if (compile && !succeeded(compile)) {
+      cleanupSandbox();
+      emit("run-stderr", { runId, chunk: compile.stderr || compile.stdout, phase: "compile" });
+      emit("run-exit", {
+        runId,
+        exitCode: compile.exitCode,
+        signal: compile.signal,
+        phase: "compile",
+        timedOut: compile.timedOut,
+        truncated: compile.truncated,
+        verdict: "Compilation Error",
+        compileTimeMs,
+        compileCached: Boolean(compile && compile.cached),
+        runTimeMs: null,
+        peakMemoryKb: null,
+        diagnostics: compileDiagnostics,
+        crashReport: null,
+        profile: null,
+      });
+      return;
+    }
+
+    await new Promise((resolve) => {
+      const usageFile = usageFileFor(sandboxDir);
+      let runStep = measureStep(
+        programStep(language, filename, sandboxDir, sources.compilerOptions),
+        usageFile
+      );
+      // Unbuffer C stdio so prompts show up before the program blocks on input
+      if (interactive && process.platform === "linux") {
+        runStep = { command: "stdbuf", args: ["-o0", "-e0", runStep.command, ...runStep.args], env: runStep.env };
+      }
+
+      // Run detached so the process group can be killed as a unit
+      child = activeExecutor.spawn(
+        { ...runStep, env: { PYTHONUNBUFFERED: "1", ...(runStep.env || {}) } },
+        { cwd: sandboxDir, detached: true, ...sandboxProcessOptions() }
+      );
+      const runStart = Date.now();
+      if (interactive) releaseWorker();
+
+      let streamedBytes = 0;
+      let timedOut = false;
+      let truncated = false;
+      // Tail of stderr kept to recognise limit breaches (e.g. MemoryError) and sanitizer reports
+      let stderrTail = "";
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, interactive ? SECURITY_CONFIG.timeouts.interactive : runTimeoutFor(language));
+
+      // Interactive programs wait for people to type, but not forever: they stop once nobody
+      // has sent input for a while, and get the normal run time limit once stdin is closed
+      let idleTimer = null;
+      if (interactive) {
+        inputActivity = () => {
+          clearTimeout(idleTimer);
+          idleTimer = setTimeout(() => {
+            timedOut = true;
+            kill();
+          }, inputEnded ? runTimeoutFor(language) : SECURITY_CONFIG.timeouts.interactiveIdle);
+        };
+      }
+
+      const forward = (event) => (data) => {
+        if (truncated) return;
+        streamedBytes += data.length;
+        if (streamedBytes > STREAM_LIMITS.maxOutputBytes) {
+          truncated = true;
+          emit(event, { runId, chunk: "\n...output truncated...", phase: "run" });
+          kill();
+          return;
+        }
+        emit(event, { runId, chunk: data.toString(), phase: "run" });
+      };
+
+      child.stdout.on("data", forward("run-stdout"));
+      child.stderr.on("data", forward("run-stderr"));
+      child.stderr.on("data", (data) => {
+        stderrTail = (stderrTail + data.toString()).slice(-STREAM_LIMITS.stderrTailBytes);
+      });
+      child.stdin.on("error", () => {}); // Program may exit before reading its input
+      // e.g. ENOENT when the interpreter is not installed; "close" still follows
+      child.on("error", (err) => {
+        emit("run-stderr", { runId, chunk: `${runStep.command}: ${err.message}`, phase: "run" });
+      });
+
+      child.on("close", async (exitCode, signal) => {
+        clearTimeout(timer);
+        clearTimeout(idleTimer);
+        inputActivity = () => {};
+        const runTimeMs = Date.now() - runStart;
+        const usage = readUsage(usageFile);
+        let verdict = null;
+        if (timedOut || truncated) {
+          verdict = classifyRunFailure({ timedOut, truncated });
+        } else if (exitCode !== 0 && !(killed && signal === "SIGKILL")) {
+          verdict = classifyRunFailure({ exitCode, signal, stderr: stderrTail });
+        }
+        // Stopped on request (run-kill, disconnect) is not a run outcome worth counting
+        if (!(killed && !timedOut && !truncated)) recordRun(language, verdict, interactive ? null : runTimeMs);
+        // Read before cleanup: the report quotes source lines from the sandbox
+        const crashReport = verdict ? crashReportFor(sources.compilerOptions, stderrTail, sandboxDir) : null;
+        let profileReport = null;
+        if (profile && !verdict && !killed) {
+          const firstRun = {
+            wallMs: runTimeMs,
+            userTimeMs: usage ? usage.userTimeMs : null,
+            sysTimeMs: usage ? usage.sysTimeMs : null,
+            peakMemoryKb: usage ? usage.maxRssKb : null,
+          };
+          try {
+            profileReport = await profileProgram(language, filename, sandboxDir, input, firstRun, {
+              iterations: profile.iterations,
+              signal: abortController.signal,
+              compilerOptions: sources.compilerOptions,
+            });
+          } catch (error) {
+            if (error.code !== "ABORT_ERR") console.error(`Profiling error for ${language}:`, error);
+          }
+        }
+        cleanupSandbox();
+        emit("run-exit", {
+          runId,
+          exitCode,
+          signal,
+          phase: "run",
+          timedOut,
+          truncated,
+          verdict,
+          compileTimeMs,
+          compileCached: Boolean(compile && compile.cached),
+          runTimeMs,
+          peakMemoryKb: usage ? usage.maxRssKb : null,
+          diagnostics: verdict
+            ? [...compileDiagnostics, ...parseDiagnostics(language, stderrTail, sandboxDir)]
+            : compileDiagnostics,
+          crashReport,
+          profile: profileReport,
+        });
+        resolve();
+      });
+
+      if (input) {
+        child.stdin.write(input);
+      }
+      pendingInput.forEach((data) => child.stdin.write(data));
+      pendingInput.length = 0;
+      if (!interactive || inputEnded) {
+        inputEnded = true;
+        child.stdin.end();
+      }
+      inputActivity();
+    });
+  };
+
+  const done = (async () => {
+    emit("run-started", { runId });
+
+    let queued = false;
+    try {
+      releaseWorker = await acquireWorker({
+        signal: abortController.signal,
+        onPosition: (position) => {
+          queued = true;
+          emit("run-queued", { runId, position });
+        },
+        onStart: () => queued && emit("run-dequeued", { runId }),
+      });
+    } catch (error) {
+      cleanupSandbox();
+      if (error.code !== "ABORT_ERR") throw error;
+      emitStopped();
+      return;
+    }
+
+    try {
+      await compileAndRun();
+    } finally {
+      releaseWorker();
+    }
+  })();
+
+  return { kill, done, write, endInput };
+}
+
+// Runs that other sockets can attach to: runId -> { run, language, interactive, ownerId, reclaimTimer };
+// ownerId is null while the owner is disconnected and the run waits to be claimed (see run-attach)
+const runSessions = new Map();
+
+// Socket.IO room that receives every event of a run
+const runRoom = (runId) => `run:${runId}`;
+
+/**
+ * Binds a display name to a socket the first time it starts or attaches to a run
+ *
+ * Input echoed to a run's participants is labelled with this name, so a socket
+ * cannot type under someone else's name later on.
+ *
+ * @function bindSocketUser
+ * @param {Object} socket - Socket.IO socket
+ * @param {*} userName - Name sent with run-code or run-attach
+ */
+function bindSocketUser(socket, userName) {
+  if (socket.data.userName || typeof userName !== "string" || !userName.trim()) return;
+  socket.data.userName = userName.trim().slice(0, 100);
+}
+
+// --- Debug Sessions ---
+const DEBUG_LIMITS = {
+  maxSessions: 4, // Sessions at the same time; they sit paused for minutes, so they do not hold execution workers
+  sessionMs: 10 * 60 * 1000, // Wall-clock limit of a session, paused time included
+  maxOutputBytes: 1024 * 1024, // Stop the program once it has printed this much
+  maxBreakpoints: 100, // Per file
+};
+
+// Commands that resume a paused program (see debugger.py for the adapter protocol)
+const DEBUG_STEP_COMMANDS = ["continue", "stepOver", "stepInto", "stepOut"];
+
+/**
+ * Validates the breakpoints of one file
+ *
+ * @function resolveBreakpointLines
+ * @param {string} file - Path of the file in the project
+ * @param {Array<number>} lines - 1-based line numbers
+ * @param {Object<string, string>} files - Project files (sources.files)
+ * @returns {{lines?: Array<number>, error?: string}} Sorted unique lines, or a validation error message
+ */
+function resolveBreakpointLines(file, lines, files) {
+  if (typeof file !== "string" || !Object.prototype.hasOwnProperty.call(files, file)) {
+    return { error: `Breakpoint file not found: ${file}` };
+  }
+  if (!Array.isArray(lines) || !lines.every((line) => Number.isInteger(line) && line > 0)) {
+    return { error: "Breakpoint lines must be positive integers" };
+  }
+  if (lines.length > DEBUG_LIMITS.maxBreakpoints) {
+    return { error: `At most ${DEBUG_LIMITS.maxBreakpoints} breakpoints are allowed per file` };
+  }
+  return { lines: [...new Set(lines)].sort((a, b) => a - b) };
+}
+
+/**
+ * Validates the breakpoints of a debug-start request
+ *
+ * @function resolveBreakpoints
+ * @param {Object<string, Array<number>>} [breakpoints={}] - File path -> 1-based line numbers
+ * @param {{files: Object<string, string>}} sources - Output of resolveSources
+ * @returns {{breakpoints?: Object<string, Array<number>>, error?: string}} Breakpoints, or a validation error message
+ */
+function resolveBreakpoints(breakpoints = {}, sources) {
+  if (typeof breakpoints !== "object" || breakpoints === null || Array.isArray(breakpoints)) {
+    return { error: "breakpoints must be an object mapping file paths to line numbers" };
+  }
+  const resolved = {};
+  for (const [file, lines] of Object.entries(breakpoints)) {
+    const { lines: fileLines, error } = resolveBreakpointLines(file, lines, sources.files);
+    if (error) return { error };
+    resolved[file] = fileLines;
+  }
+  return { breakpoints: resolved };
+}
+
+/**
+ * Runs a program under its language's step debugger adapter (debugStep)
+ *
+ * The adapter is spawned in the sandbox like any program, with an extra pipe
+ * (fd 3) carrying the JSON-lines debugger protocol. Stdin is the request's input;
+ * a session has no interactive input. Sessions do not wait for an execution
+ * worker (DEBUG_LIMITS.maxSessions caps them instead), since a paused program
+ * holds its process for as long as the people stepping through it need.
+ *
+ * Emits:
+ * - debug-started { sessionId, language }
+ * - debug-output { sessionId, stream, chunk } (stream is "stdout" or "stderr")
+ * - debug-paused { sessionId, reason, frames } (frames innermost first:
+ *                { name, file, line, locals: [{ name, type, value }] })
+ * - debug-resumed { sessionId }
+ * - debug-breakpoints { sessionId, breakpoints } after any change
+ * - debug-exit { sessionId, exitCode, signal, timedOut, truncated }
+ *
+ * @function startDebugSession
+ * @param {Function} emit - (event, data) callback, usually bound to the session's room
+ * @param {Object} params - Debug request
+ * @param {string} params.sessionId - Client-chosen id echoed on every event
+ * @param {string} params.language - Language with a debugStep (python, javascript)
+ * @param {{files: Object<string, string>, entry: string}} params.sources - Output of resolveSources
+ * @param {string} [params.input=""] - Data written to the program's stdin
+ * @param {Object<string, Array<number>>} [params.breakpoints={}] - Output of resolveBreakpoints
+ * @param {boolean} [params.stopOnEntry=false] - Pause on the program's first line
+ * @returns {{command: Function, setBreakpoints: Function, kill: Function, describe: Function, done: Promise<void>}}
+ *          Handle to drive the program, stop it, describe its current state and await its exit
+ */
+function startDebugSession(emit, { sessionId, language, sources, input = "", breakpoints = {}, stopOnEntry = false }) {
+  const config = languageConfigs[language];
+  const sandboxDir = createTempDir();
+  const currentBreakpoints = { ...breakpoints };
+  // Last paused event, replayed to participants who attach later; null while running
+  let paused = null;
+  let child = null;
+  let channel = null;
+  let killed = false;
+
+  const send = (message) => {
+    if (channel && !channel.destroyed) channel.write(`${JSON.stringify(message)}\n`);
+  };
+
+  const kill = () => {
+    killed = true;
+    // Kill the whole process group (wrappers + program)
+    if (child) activeExecutor.kill(child);
+  };
+
+  // Resume a paused program. Only the first of several participants' clicks counts:
+  // a second command would sit in the pipe and resume the next pause unseen.
+  const command = (name) => {
+    if (!paused || !DEBUG_STEP_COMMANDS.includes(name)) return false;
+    paused = null;
+    send({ command: name });
+    return true;
+  };
+
+  // Takes effect right away for Node; the Python adapter applies it at the next pause
+  const setBreakpoints = (file, lines) => {
+    currentBreakpoints[file] = lines;
+    send({ command: "setBreakpoints", file, lines });
+    emit("debug-breakpoints", { sessionId, breakpoints: currentBreakpoints });
+  };
+
+  const describe = () => ({ sessionId, language, breakpoints: currentBreakpoints, paused });
+
+  const cleanupSandbox = () => {
+    try {
+      fs.rmSync(sandboxDir, { recursive: true, force: true });
+    } catch (cleanupErr) {
+      console.error("Cleanup failed:", cleanupErr.message);
+    }
+  };
+
+  const handleMessage = (message) => {
+    if (message.event === "paused") {
+      paused = { reason: message.reason, frames: message.frames };
+      emit("debug-paused", { sessionId, ...paused });
+    } else if (message.event === "resumed") {
+      paused = null;
+      emit("debug-resumed", { sessionId });
+    }
+  };
+
+  const done = (async () => {
+    emit("debug-started", { sessionId, language });
+
+    let filename;
+    try {
+      // Interpreted languages only: this writes the project files
+      ({ filename } = await compileCode(language, sources, sandboxDir));
+    } catch (error) {
+      cleanupSandbox();
+      throw error;
+    }
+    if (killed) {
+      cleanupSandbox();
+      emit("debug-exit", { sessionId, exitCode: null, signal: "SIGKILL", timedOut: false, truncated: false });
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const step = sandboxStep(config.debugStep(filename, sandboxDir), language, sandboxDir);
+      // Run detached so the process group can be killed as a unit
+      child = activeExecutor.spawn(
+        { ...step, env: { PYTHONUNBUFFERED: "1", ...(step.env || {}) } },
+        { cwd: sandboxDir, detached: true, stdio: ["pipe", "pipe", "pipe", "pipe"], ...sandboxProcessOptions() }
+      );
+      channel = child.stdio[3];
+
+      let outputBytes = 0;
+      let timedOut = false;
+      let truncated = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, DEBUG_LIMITS.sessionMs);
+
+      const forward = (stream) => (data) => {
+        if (truncated) return;
+        outputBytes += data.length;
+        if (outputBytes > DEBUG_LIMITS.maxOutputBytes) {
+          truncated = true;
+          emit("debug-output", { sessionId, stream, chunk: "\n...output truncated..." });
+          kill();
+          return;
+        }
+        emit("debug-output", { sessionId, stream, chunk: data.toString() });
+      };
+
+      child.stdout.on("data", forward("stdout"));
+      child.stderr.on("data", forward("stderr"));
+      child.stdin.on("error", () => {}); // Program may exit before reading its input
+      channel.on("error", () => {}); // Adapter may exit before reading a command
+
+      let buffered = "";
+      channel.on("data", (data) => {
+        buffered += data.toString();
+        let newline;
+        while ((newline = buffered.indexOf("\n")) !== -1) {
+          const line = buffered.slice(0, newline);
+          buffered = buffered.slice(newline + 1);
+          try {
+            handleMessage(JSON.parse(line));
+          } catch (err) {
+            console.error("Malformed debugger message:", line);
+          }
+        }
+      });
+
+      // e.g. ENOENT when the interpreter is not installed; "close" still follows
+      child.on("error", (err) => {
+        emit("debug-output", { sessionId, stream: "stderr", chunk: `${step.command}: ${err.message}` });
+      });
+
+      child.on("close", (exitCode, signal) => {
+        clearTimeout(timer);
+        paused = null;
+        cleanupSandbox();
+        emit("debug-exit", { sessionId, exitCode, signal, timedOut, truncated });
+        resolve();
+      });
+
+      try {
+        send({ command: "start", breakpoints: currentBreakpoints, stopOnEntry });
+        if (input) {
+          child.stdin.write(input);
+        }
+        child.stdin.end();
+      } catch (err) {
+        // Don't leave the adapter running until its time limit; "close" still cleans up
+        kill();
+        reject(err);
+      }
+    });
+  })();
+
+  return { command, setBreakpoints, kill, describe, done };
+}
+
+// Debug sessions other sockets can attach to: sessionId -> { session, sources, ownerId }
+const debugSessions = new Map();
+
+// Socket.IO room that receives every event of a debug session
+const debugRoom = (sessionId) => `debug:${sessionId}`;
+
+// --- Room Events ---
+// Collaboration rooms live in the socket server, which accepts events from the runner on
+// POST /internal/rooms/:roomId/events. Both settings are required: startServer refuses to
+// start without them, since room participants would otherwise never see each other's runs.
+// The socket server must be started with the same INTERNAL_API_TOKEN.
+const ROOM_API = {
+  url: process.env.SOCKET_SERVER_URL || null, // e.g. https://collab-coding-app-socket-server.onrender.com
+  token: process.env.INTERNAL_API_TOKEN || null, // Shared with the socket server
+  timeoutMs: 5000,
+};
+
+/**
+ * Validates the collaboration room a run request reports to
+ *
+ * A roomId must come with the roomTicket the socket server gave the participant
+ * for that room; the socket server only accepts events carrying a ticket of a
+ * current member, so callers cannot publish into other rooms. A participant
+ * whose ticket has not arrived yet (e.g. right after reconnecting) still gets
+ * the run, just without it being published.
+ *
+ * @function resolveRoom
+ * @param {Object} request - Request body ({ roomId, roomTicket })
+ * @returns {{room: {roomId: string, ticket: string}|null, error?: string}} room is null without roomId or roomTicket
+ */
+function resolveRoom(request) {
+  const { roomId, roomTicket } = request;
+  if (roomId == null) return { room: null };
+  if (typeof roomId !== "string" || !roomId) {
+    return { error: "roomId must be a non-empty string" };
+  }
+  if (roomTicket == null || roomTicket === "") return { room: null };
+  if (typeof roomTicket !== "string") {
+    return { error: "roomTicket must be a string" };
+  }
+  return { room: { roomId, ticket: roomTicket } };
+}
+
+/**
+ * Publishes an event to every participant of a collaboration room
+ *
+ * Never rejects: a room that misses an event must not fail the run itself.
+ *
+ * @async
+ * @function publishToRoom
+ * @param {{roomId: string, ticket: string}} room - Room from resolveRoom
+ * @param {string} event - Event name the socket server accepts from services (e.g. code-output)
+ * @param {Object} payload - Event payload
+ * @returns {Promise<boolean>} Whether the socket server accepted the event
+ */
+async function publishToRoom({ roomId, ticket }, event, payload) {
+  if (!ROOM_API.url || !ROOM_API.token) return false; // Not started through startServer (tests)
+  try {
+    const response = await fetch(`${ROOM_API.url}/internal/rooms/${encodeURIComponent(roomId)}/events`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Internal-Token": ROOM_API.token },
+      body: JSON.stringify({ event, payload, ticket }),
+      signal: AbortSignal.timeout(ROOM_API.timeoutMs),
+    });
+    if (!response.ok) {
+      console.error(`Room ${roomId} rejected ${event}: HTTP ${response.status}`);
+    }
+    return response.ok;
+  } catch (error) {
+    console.error(`Could not publish ${event} to room ${roomId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * code-output payload of a finished run, in the shape room participants render
+ *
+ * @function roomRunOutput
+ * @param {string|null} runId - Streamed run the result belongs to (null for POST /run)
+ * @param {Object} result - executeInSandbox result
+ * @returns {Object} { runId, output, error, result } with stdout/stderr moved out of result
+ */
+function roomRunOutput(runId, result) {
+  const { stdout, stderr, output, ...summary } = result;
+  return { runId, output: stdout || null, error: stderr || null, result: summary };
+}
+
+/**
+ * Mirrors a streamed run into its collaboration room
+ *
+ * Wraps the run's event stream (see streamExecution) and publishes, in order:
+ * - terminal-session { runId, language, interactive } when the run starts, so participants attach to its live output
+ * - run-progress { runId, status: "queued" | "running", position } while it waits for a worker
+ * - code-output (see roomRunOutput) with the collected output and result once it ends or fails
+ *
+ * @function roomRunRelay
+ * @param {{roomId: string, ticket: string}} room - Room from resolveRoom
+ * @param {Object} run - Run details
+ * @param {string} run.runId - Run identifier
+ * @param {string} run.language - Programming language identifier
+ * @param {boolean} run.interactive - Whether participants can type into the program's stdin
+ * @returns {Function} (event, data) callback to call with every event of the run
+ */
+function roomRunRelay(room, { runId, language, interactive }) {
+  let stdout = "";
+  let stderr = "";
+  // Publish one event at a time so the room sees them in the order they happened
+  let published = Promise.resolve();
+  const publish = (event, payload) => {
+    published = published.then(() => publishToRoom(room, event, payload));
+  };
+  // Same cap as streamed output (STREAM_LIMITS.maxOutputBytes), counted in characters
+  const append = (text, chunk) => (text.length < STREAM_LIMITS.maxOutputBytes ? text + chunk : text);
+
+  return (event, data) => {
+    switch (event) {
+      case "run-started":
+        publish("terminal-session", { runId, language, interactive });
+        break;
+      case "run-queued":
+        publish("run-progress", { runId, status: "queued", position: data.position });
+        break;
+      case "run-dequeued":
+        publish("run-progress", { runId, status: "running", position: null });
+        break;
+      case "run-stdout":
+        stdout = append(stdout, data.chunk);
+        break;
+      case "run-stderr":
+        stderr = append(stderr, data.chunk);
+        break;
+      case "run-exit": {
+        const { runId: _runId, ...result } = data;
+        publish("code-output", roomRunOutput(runId, { ...result, stdout, stderr }));
+        break;
+      }
+      case "run-error":
+        publish("code-output", { runId, output: stdout || null, error: data.error, result: null });
+        break;
+      default:
+        break;
+    }
+  };
+}
+
+// --- Socket.IO Logic ---
+// Execution events only (runs, debug sessions). Presence, invites and collaboration rooms
+// belong to the socket server; results reach rooms through publishToRoom.
+io.on("connection", (socket) => {
+  console.log("User connected:", socket.id);
+
+  // sessionId -> startDebugSession handle for debug sessions started from this socket
+  const activeDebugSessions = new Map();
+
+  // Stream a program's output to everyone attached to the run while it runs.
+  // With `interactive: true` stdin stays open and is fed through run-stdin.
+  // Accepts { code } or a multi-file { files, entry } project like POST /run.
+  // With a `roomId` and `roomTicket` the run's start, progress and result are also
+  // published to that collaboration room (see resolveRoom, roomRunRelay).
+  socket.on("run-code", async (request) => {
+    const { runId, language, input, interactive = false } = request;
+    if (!runId) {
+      socket.emit("run-error", { runId, error: "No runId provided" });
+      return;
+    }
+    if (!languageConfigs[language]) {
+      socket.emit("run-error", { runId, error: `Unsupported language: ${language}` });
+      return;
+    }
+    const { sources, error } = resolveSources(language, request);
+    if (error) {
+      socket.emit("run-error", { runId, error });
+      return;
+    }
+    const { profile, error: profileError } = resolveProfile(request);
+    if (profileError || (profile && interactive)) {
+      socket.emit("run-error", { runId, error: profileError || "Interactive runs cannot be profiled" });
+      return;
+    }
+    if (input != null && typeof input !== "string") {
+      socket.emit("run-error", { runId, error: "input must be a string" });
+      return;
+    }
+    const { room, error: roomError } = resolveRoom(request);
+    if (roomError) {
+      socket.emit("run-error", { runId, error: roomError });
+      return;
+    }
+    if (runSessions.has(runId)) {
+      socket.emit("run-error", { runId, error: "A run with this id is already active" });
+      return;
+    }
+    const interactiveRuns = Array.from(runSessions.values()).filter((session) => session.interactive).length;
+    if (interactive && interactiveRuns >= STREAM_LIMITS.maxInteractiveRuns) {
+      socket.emit("run-error", { runId, error: "Too many interactive runs are in progress, try again later" });
+      return;
+    }
+
+    // Runs started from a collaboration room are reported to the whole room by the runner itself
+    const relay = room ? roomRunRelay(room, { runId, language, interactive: Boolean(interactive) }) : null;
+    const emit = (event, data) => {
+      io.to(runRoom(runId)).emit(event, data);
+      if (relay) relay(event, data);
+    };
+
+    bindSocketUser(socket, request.userName);
+    socket.join(runRoom(runId));
+    const run = streamExecution(emit, {
+      runId,
+      language,
+      sources,
+      input,
+      interactive: Boolean(interactive),
+      profile,
     });
+    const session = { run, language, interactive: Boolean(interactive), ownerId: socket.id, reclaimTimer: null };
+    runSessions.set(runId, session);
+    try {
+      await run.done;
+    } catch (error) {
+      console.error(`Streaming execution error for ${language}:`, error);
+      emit("run-error", { runId, error: error.message || "An unknown error occurred." });
+    } finally {
+      clearTimeout(session.reclaimTimer);
+      runSessions.delete(runId);
+      io.socketsLeave(runRoom(runId));
+    }
+  });
 
-    console.log(`Invite ${inviteId} accepted. Room ${roomId} created.`);
+  // Join a running session (e.g. another participant's interactive program). Attaching to a run
+  // whose owner disconnected takes it over, so it keeps going (e.g. the owner after reconnecting).
+  socket.on("run-attach", ({ runId, userName }) => {
+    const session = runSessions.get(runId);
+    if (!session) {
+      socket.emit("run-error", { runId, error: "Run is not active" });
+      return;
+    }
+    if (session.ownerId === null) {
+      clearTimeout(session.reclaimTimer);
+      session.ownerId = socket.id;
+    }
+    bindSocketUser(socket, userName);
+    socket.join(runRoom(runId));
+    socket.emit("run-attached", { runId, language: session.language, interactive: session.interactive });
   });
 
-  // Handle room messages
-  socket.on("room-message", ({ roomId, message, sender }) => {
-    io.to(roomId).emit("room-message", {
-      sender,
-      message,
-      timestamp: new Date().toISOString(), // Use ISO string for consistent date format
+  // Feed a line (or any text) to an interactive run; echoed to all attached sockets with the
+  // name bound to this socket (see bindSocketUser)
+  socket.on("run-stdin", ({ runId, data }) => {
+    const session = runSessions.get(runId);
+    if (!session || !session.interactive || !socket.rooms.has(runRoom(runId))) {
+      socket.emit("run-error", { runId, error: "Run is not accepting input" });
+      return;
+    }
+    if (typeof data !== "string" || data.length > SECURITY_CONFIG.maxFileSize) {
+      return;
+    }
+    session.run.write(data);
+    io.to(runRoom(runId)).emit("run-stdin", { runId, data, sender: socket.data.userName || null });
+  });
+
+  // Close stdin of an interactive run (Ctrl+D)
+  socket.on("run-stdin-eof", ({ runId }) => {
+    const session = runSessions.get(runId);
+    if (session && socket.rooms.has(runRoom(runId))) {
+      session.run.endInput();
+    }
+  });
+
+  // Stop a run (Ctrl+C); any attached participant may do this
+  socket.on("run-kill", ({ runId }) => {
+    const session = runSessions.get(runId);
+    if (session && socket.rooms.has(runRoom(runId))) {
+      session.run.kill();
+    }
+  });
+
+  // Step through a Python or JavaScript program. Everyone attached to the session sees
+  // the same pauses and may drive it. Accepts { code } or { files, entry } like run-code,
+  // plus input, breakpoints ({ file: [lines] }) and stopOnEntry.
+  socket.on("debug-start", async (request) => {
+    const { sessionId, language, input, stopOnEntry = false } = request;
+    if (!sessionId) {
+      socket.emit("debug-error", { sessionId, error: "No sessionId provided" });
+      return;
+    }
+    if (input != null && typeof input !== "string") {
+      socket.emit("debug-error", { sessionId, error: "input must be a string" });
+      return;
+    }
+    const config = languageConfigs[language];
+    if (!config) {
+      socket.emit("debug-error", { sessionId, error: `Unsupported language: ${language}` });
+      return;
+    }
+    if (!config.debugStep) {
+      socket.emit("debug-error", { sessionId, error: `Step debugging is not available for ${config.name}` });
+      return;
+    }
+    const { sources, error } = resolveSources(language, request);
+    if (error) {
+      socket.emit("debug-error", { sessionId, error });
+      return;
+    }
+    const { breakpoints, error: breakpointError } = resolveBreakpoints(request.breakpoints, sources);
+    if (breakpointError) {
+      socket.emit("debug-error", { sessionId, error: breakpointError });
+      return;
+    }
+    if (debugSessions.has(sessionId)) {
+      socket.emit("debug-error", { sessionId, error: "A debug session with this id is already active" });
+      return;
+    }
+    if (debugSessions.size >= DEBUG_LIMITS.maxSessions) {
+      socket.emit("debug-error", { sessionId, error: "Too many debug sessions are running, try again later" });
+      return;
+    }
+
+    socket.join(debugRoom(sessionId));
+    const session = startDebugSession((event, data) => io.to(debugRoom(sessionId)).emit(event, data), {
+      sessionId,
+      language,
+      sources,
+      input,
+      breakpoints,
+      stopOnEntry: Boolean(stopOnEntry),
     });
+    debugSessions.set(sessionId, { session, sources, ownerId: socket.id });
+    activeDebugSessions.set(sessionId, session);
+    try {
+      await session.done;
+    } catch (error) {
+      console.error(`Debug session error for ${language}:`, error);
+      io.to(debugRoom(sessionId)).emit("debug-error", { sessionId, error: error.message || "An unknown error occurred." });
+    } finally {
+      activeDebugSessions.delete(sessionId);
+      debugSessions.delete(sessionId);
+      io.socketsLeave(debugRoom(sessionId));
+    }
   });
 
-  // Handle room code updates
-  socket.on("code-update", ({ roomId, code, language }) => {
-    const room = activeRooms.get(roomId);
-    if (room) {
-      // Update the stored code for the specific language in the room
-      room.currentCode[language] = code;
-      // Emit to all others in the room
-      socket.to(roomId).emit("code-update", { code, language });
+  // Join a debug session (e.g. another participant's); replies with its breakpoints and current pause
+  socket.on("debug-attach", ({ sessionId }) => {
+    const entry = debugSessions.get(sessionId);
+    if (!entry) {
+      socket.emit("debug-error", { sessionId, error: "Debug session is not active" });
+      return;
     }
+    socket.join(debugRoom(sessionId));
+    socket.emit("debug-attached", entry.session.describe());
   });
 
-  // Handle disconnection
-  socket.on("disconnect", () => {
-    console.log("User disconnected:", socket.id);
+  // Continue or step a paused program; any attached participant may do this
+  socket.on("debug-command", ({ sessionId, command }) => {
+    const entry = debugSessions.get(sessionId);
+    if (entry && socket.rooms.has(debugRoom(sessionId))) {
+      entry.session.command(command);
+    }
+  });
 
-    // Remove user from online users map
-    let disconnectedUserId = null;
-    for (const [userId, data] of onlineUsers.entries()) {
-      if (data.socketId === socket.id) {
-        disconnectedUserId = userId;
-        onlineUsers.delete(userId);
-        io.emit("online_users", Array.from(onlineUsers.values()).map(u => ({ id: u.userId, name: u.userName })));
-        break;
-      }
+  // Replace the breakpoints of one file; the new set is broadcast to all attached sockets
+  socket.on("debug-set-breakpoints", ({ sessionId, file, lines }) => {
+    const entry = debugSessions.get(sessionId);
+    if (!entry || !socket.rooms.has(debugRoom(sessionId))) return;
+    const { lines: resolvedLines, error } = resolveBreakpointLines(file, lines, entry.sources.files);
+    if (error) {
+      // active: the session itself carries on
+      socket.emit("debug-error", { sessionId, error, active: true });
+      return;
     }
+    entry.session.setBreakpoints(file, resolvedLines);
+  });
 
-    // Remove user from any active rooms
-    for (const [roomId, room] of activeRooms.entries()) {
-      const initialUserCount = room.users.length;
-      room.users = room.users.filter((user) => user.socketId !== socket.id);
-
-      if (room.users.length === 0) {
-        // If the room is empty, delete it
-        activeRooms.delete(roomId);
-        console.log(`Room ${roomId} deleted as it is empty.`);
-      } else if (initialUserCount > room.users.length) {
-        // If a user was actually removed from this room
-        // Notify remaining room users about the disconnection
-        io.to(roomId).emit("user-left", {
-          roomId,
-          userId: disconnectedUserId, // Send the actual userId that left
-          users: room.users, // Send updated user list
-        });
-        console.log(`User ${disconnectedUserId} left room ${roomId}. Remaining users:`, room.users.length);
-      }
+  // End a debug session; any attached participant may do this
+  socket.on("debug-stop", ({ sessionId }) => {
+    const entry = debugSessions.get(sessionId);
+    if (entry && socket.rooms.has(debugRoom(sessionId))) {
+      entry.session.kill();
     }
   });
+
+  // Handle disconnection
+  socket.on("disconnect", () => {
+    console.log("User disconnected:", socket.id);
+
+    // Runs this socket started keep going for a while in case it reconnects and claims them
+    runSessions.forEach((session) => {
+      if (session.ownerId !== socket.id) return;
+      session.ownerId = null;
+      session.reclaimTimer = setTimeout(() => session.run.kill(), SECURITY_CONFIG.timeouts.reclaim);
+    });
+    // Debug sessions stop right away
+    activeDebugSessions.forEach((session) => session.kill());
+    activeDebugSessions.clear();
+  });
 });
 
-// Use httpServer instead of app.listen
-httpServer.listen(PORT, () => {
-  console.log(`C runner backend listening on port ${PORT}`);
-});
\ No newline at end of file
+/**
+ * Starts serving HTTP and Socket.IO on PORT
+ *
+ * Called when this file is run directly and by the root c-runner-backend.js entry point;
+ * tests require the module without starting it. Exits when the executor is unavailable or the
+ * room API (SOCKET_SERVER_URL, INTERNAL_API_TOKEN) is not configured.
+ *
+ * @function startServer
+ * @returns {Object} The HTTP server
+ */
+function startServer() {
+  if (!activeExecutor.available()) {
+    console.error(`The ${activeExecutor.name} executor is not available on this host (RUNNER_EXECUTOR).`);
+    process.exit(1);
+  }
+  if (!ROOM_API.url || !ROOM_API.token) {
+    console.error(
+      "SOCKET_SERVER_URL and INTERNAL_API_TOKEN must be set so runs reach their collaboration rooms (see ROOM_API)."
+    );
+    process.exit(1);
+  }
+  // Use httpServer instead of app.listen, so Socket.IO shares the port
+  return httpServer.listen(PORT, () => {
+    console.log(`C runner backend listening on port ${PORT}`);
+  });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  startServer,
+  app,
+  httpServer,
+  languageConfigs,
+  resolveSources,
+  executeWithTimeout,
+  executeInSandbox,
+  executors,
+  createMockExecutor,
+  selectExecutor,
+  fitComplexity,
+  VERSION_PROBE,
+  SECURITY_CONFIG,
+};
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Step debugger adapter for Node.js programs
+ *
+ * The program runs on the main thread. A worker thread attaches to it through
+ * the inspector (Session#connectToMainThread) and keeps talking to the runner
+ * while the main thread is paused. The runner drives the worker over file
+ * descriptor 3 with the JSON-lines protocol documented in debugger.py.
+ *
+ * Usage: node debugger.js <sandbox-dir> <script>
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+const path = require("path");
+
+const CHANNEL_FD = 3;
+const MAX_LOCALS = 50; // Per frame
+const MAX_VALUE_LENGTH = 200; // Characters per local value
+
+// Parameters of the CommonJS module wrapper, not program state
+const WRAPPER_NAMES = new Set(["exports", "require", "module", "__filename", "__dirname"]);
+
+if (isMainThread) {
+  const [sandboxDir, script] = process.argv.slice(2).map((arg) => path.resolve(arg));
+  const worker = new Worker(__filename, {
+    workerData: { sandboxDir, script },
+    // Small heap and code range, so a second isolate fits in the program's address space limit
+    resourceLimits: { maxOldGenerationSizeMb: 64, maxYoungGenerationSizeMb: 8, codeRangeSizeMb: 16 },
+  });
+  // The worker must not keep the process alive once the program is done
+  worker.unref();
+  worker.once("message", () => {
+    // Run the script as the main module, like `node script`
+    process.argv = [process.argv[0], script];
+    require("module").runMain();
+  });
+} else {
+  const inspector = require("inspector");
+  const net = require("net");
+  const { pathToFileURL } = require("url");
+
+  const { sandboxDir, script } = workerData;
+  const sandboxUrl = pathToFileURL(sandboxDir).href + "/";
+  const session = new inspector.Session();
+  session.connectToMainThread();
+
+  const post = (method, params = {}) =>
+    new Promise((resolve, reject) =>
+      session.post(method, params, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+
+  const channel = new net.Socket({ fd: CHANNEL_FD, readable: true, writable: true });
+  const send = (message) => channel.write(`${JSON.stringify(message)}\n`);
+
+  // file (relative to the sandbox) -> inspector breakpoint ids
+  const breakpoints = new Map();
+  // scriptId -> url; call frames only carry the scriptId
+  const scriptUrls = new Map();
+  let entryBreakpointId = null;
+  let paused = false;
+
+  const setBreakpoints = async (file, lines) => {
+    const url = pathToFileURL(path.join(sandboxDir, file)).href;
+    if (!url.startsWith(sandboxUrl)) return;
+    await Promise.all((breakpoints.get(file) || []).map((breakpointId) => post("Debugger.removeBreakpoint", { breakpointId })));
+    const ids = [];
+    for (const line of lines) {
+      const { breakpointId } = await post("Debugger.setBreakpointByUrl", { url, lineNumber: line - 1 });
+      ids.push(breakpointId);
+    }
+    breakpoints.set(file, ids);
+  };
+
+  const truncate = (text) => (text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : text);
+
+  // Short text for a Runtime.RemoteObject, with array/object contents from its preview
+  const describeValue = (value) => {
+    if (value.type === "string") return truncate(JSON.stringify(value.value));
+    if (value.type === "undefined") return "undefined";
+    if (value.type === "bigint") return value.unserializableValue || value.description;
+    if (value.type !== "object" || value.subtype === "null") {
+      return value.unserializableValue || (value.value !== undefined ? String(value.value) : value.description);
+    }
+    const preview = value.preview;
+    if (!preview || !preview.properties) return value.description;
+    const more = preview.overflow ? ", ..." : "";
+    const previewValue = (p) => (p.type === "string" ? JSON.stringify(p.value) : p.type === "function" ? "ƒ" : p.value);
+    if (value.subtype === "array") {
+      return truncate(`[${preview.properties.map(previewValue).join(", ")}${more}]`);
+    }
+    const entries = preview.properties.map((p) => `${p.name}: ${previewValue(p)}`);
+    const prefix = value.className === "Object" ? "" : `${value.description} `;
+    return truncate(`${prefix}{${entries.join(", ")}${more}}`);
+  };
+
+  const typeOf = (value) => (value.type === "object" ? value.className || value.subtype || "object" : value.type);
+
+  const describeLocals = async (callFrame) => {
+    const locals = [];
+    for (const scope of callFrame.scopeChain) {
+      if (scope.type !== "local" && scope.type !== "block") continue;
+      const { result } = await post("Runtime.getProperties", {
+        objectId: scope.object.objectId,
+        ownProperties: true,
+        generatePreview: true,
+      });
+      for (const property of result) {
+        if (!property.value || property.value.type === "function" || WRAPPER_NAMES.has(property.name)) continue;
+        if (locals.some((local) => local.name === property.name)) continue; // Shadowed by an inner block
+        locals.push({ name: property.name, type: typeOf(property.value), value: describeValue(property.value) });
+        if (locals.length === MAX_LOCALS) return locals;
+      }
+    }
+    return locals;
+  };
+
+  session.on("Debugger.scriptParsed", ({ params }) => {
+    if (params.url.startsWith(sandboxUrl)) scriptUrls.set(params.scriptId, params.url);
+  });
+
+  session.on("Debugger.paused", async ({ params }) => {
+    const userFrames = params.callFrames.filter((frame) => scriptUrls.has(frame.location.scriptId));
+    if (userFrames.length === 0) {
+      // Stepped out of the program into Node's own code; let it finish
+      post("Debugger.resume");
+      return;
+    }
+    const hits = params.hitBreakpoints || [];
+    let reason = "step";
+    if (entryBreakpointId && hits.includes(entryBreakpointId)) {
+      reason = "entry";
+      post("Debugger.removeBreakpoint", { breakpointId: entryBreakpointId });
+      entryBreakpointId = null;
+    } else if (hits.length > 0) {
+      reason = "breakpoint";
+    }
+    const frames = [];
+    for (const frame of userFrames) {
+      frames.push({
+        name: frame.functionName || "<module>",
+        file: decodeURIComponent(scriptUrls.get(frame.location.scriptId).slice(sandboxUrl.length)),
+        line: frame.location.lineNumber + 1,
+        locals: await describeLocals(frame),
+      });
+    }
+    paused = true;
+    send({ event: "paused", reason, frames });
+  });
+
+  session.on("Debugger.resumed", () => {
+    if (!paused) return;
+    paused = false;
+    send({ event: "resumed" });
+  });
+
+  const STEP_METHODS = {
+    continue: "Debugger.resume",
+    stepOver: "Debugger.stepOver",
+    stepInto: "Debugger.stepInto",
+    stepOut: "Debugger.stepOut",
+  };
+
+  const start = async ({ breakpoints: initial = {}, stopOnEntry = false }) => {
+    await post("Debugger.enable");
+    // Never step into code outside the sandbox (Node internals, packages)
+    const escaped = sandboxUrl.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    await post("Debugger.setBlackboxPatterns", { patterns: [`^(?!${escaped})`] });
+    for (const [file, lines] of Object.entries(initial)) {
+      await setBreakpoints(file, lines);
+    }
+    if (stopOnEntry) {
+      // V8 moves the breakpoint to the script's first statement
+      ({ breakpointId: entryBreakpointId } = await post("Debugger.setBreakpointByUrl", {
+        url: pathToFileURL(script).href,
+        lineNumber: 0,
+      }));
+    }
+    parentPort.postMessage("ready");
+  };
+
+  const handle = async (message) => {
+    if (message.command === "start") return start(message);
+    if (message.command === "setBreakpoints") return setBreakpoints(message.file || "", message.lines || []);
+    if (paused && STEP_METHODS[message.command]) return post(STEP_METHODS[message.command]);
+  };
+
+  let buffered = "";
+  channel.on("data", (chunk) => {
+    buffered += chunk.toString();
+    let newline;
+    while ((newline = buffered.indexOf("\n")) !== -1) {
+      const line = buffered.slice(0, newline);
+      buffered = buffered.slice(newline + 1);
+      handle(JSON.parse(line)).catch((err) => process.stderr.write(`debugger: ${err.message}\n`));
+    }
+  });
+  // The runner went away; nobody can resume the program any more
+  // (process.exit would only end this thread)
+  channel.on("end", () => process.kill(process.pid, "SIGKILL"));
+}
@@ -0,0 +1,187 @@
+"""
+Step debugger adapter for Python programs.
+
+Runs a script under bdb and lets the runner drive it over file descriptor 3,
+a socket carrying one JSON message per line (the same protocol as debugger.js).
+
+Usage: debugger.py <sandbox-dir> <script>
+
+Runner -> adapter:
+  {"command": "start", "breakpoints": {"main.py": [3, 7]}, "stopOnEntry": false}
+      must come first; the script starts once it arrives
+  {"command": "continue" | "stepOver" | "stepInto" | "stepOut"}
+      resume a paused program
+  {"command": "setBreakpoints", "file": "main.py", "lines": [3]}
+      replace a file's breakpoints; read at the next pause
+
+Adapter -> runner:
+  {"event": "paused", "reason": "entry" | "breakpoint" | "step", "frames": [...]}
+  {"event": "resumed"}
+
+Frames are innermost first, {"name", "file", "line", "locals": [{"name", "type", "value"}]},
+with file relative to the sandbox. Frames outside the sandbox (standard library,
+packages) are never stopped in or reported.
+"""
+
+import bdb
+import json
+import os
+import socket
+import sys
+import traceback
+import types
+
+CHANNEL_FD = 3
+MAX_LOCALS = 50  # Per frame
+MAX_VALUE_LENGTH = 200  # repr() characters per local
+
+# Module-level names that are definitions rather than program state
+HIDDEN_TYPES = (types.ModuleType, types.FunctionType, types.BuiltinFunctionType, type)
+
+
+class Channel:
+    """JSON lines over the socket the runner passed as fd 3."""
+
+    def __init__(self, fd):
+        self.sock = socket.socket(fileno=fd)
+        self.reader = self.sock.makefile("r", encoding="utf-8")
+
+    def send(self, message):
+        self.sock.sendall((json.dumps(message) + "\n").encode("utf-8"))
+
+    def receive(self):
+        line = self.reader.readline()
+        if not line:
+            # The runner went away; nobody can resume the program any more
+            os._exit(1)
+        return json.loads(line)
+
+
+def describe_value(value):
+    try:
+        text = repr(value)
+    except Exception as error:  # User-defined __repr__ may raise anything
+        text = f"<repr failed: {error}>"
+    if len(text) > MAX_VALUE_LENGTH:
+        text = text[:MAX_VALUE_LENGTH] + "..."
+    return text
+
+
+def describe_locals(frame):
+    variables = []
+    for name, value in frame.f_locals.items():
+        if name.startswith("__") and name.endswith("__"):
+            continue
+        if isinstance(value, HIDDEN_TYPES):
+            continue
+        variables.append({"name": name, "type": type(value).__name__, "value": describe_value(value)})
+        if len(variables) == MAX_LOCALS:
+            break
+    return variables
+
+
+class Debugger(bdb.Bdb):
+    def __init__(self, channel, sandbox_dir):
+        super().__init__()
+        self.channel = channel
+        self.sandbox_dir = os.path.realpath(sandbox_dir) + os.sep
+        self.stop_on_entry = False
+        self.entered = False
+
+    def in_sandbox(self, frame):
+        return self.canonic(frame.f_code.co_filename).startswith(self.sandbox_dir)
+
+    def set_file_breakpoints(self, file, lines):
+        path = self.canonic(os.path.join(self.sandbox_dir, file))
+        if not path.startswith(self.sandbox_dir):
+            return
+        self.clear_all_file_breaks(path)
+        for line in lines:
+            # Lines without code are rejected by bdb (returns an error message); skip them
+            self.set_break(path, line)
+
+    def user_line(self, frame):
+        if not self.in_sandbox(frame):
+            # Stepped into library code: run until it returns to the program
+            self.set_return(frame)
+            return
+
+        has_breakpoint = bool(self.get_breaks(self.canonic(frame.f_code.co_filename), frame.f_lineno))
+        if not self.entered:
+            self.entered = True
+            if not self.stop_on_entry and not has_breakpoint:
+                self.set_continue()
+                return
+            reason = "entry" if self.stop_on_entry else "breakpoint"
+        else:
+            reason = "breakpoint" if has_breakpoint else "step"
+        self.interaction(frame, reason)
+
+    def interaction(self, frame, reason):
+        stack, _ = self.get_stack(frame, None)
+        frames = [
+            {
+                "name": stack_frame.f_code.co_name,
+                "file": os.path.relpath(self.canonic(stack_frame.f_code.co_filename), self.sandbox_dir),
+                "line": line,
+                "locals": describe_locals(stack_frame),
+            }
+            for stack_frame, line in reversed(stack)
+            if self.in_sandbox(stack_frame)
+        ]
+        self.channel.send({"event": "paused", "reason": reason, "frames": frames})
+
+        while True:
+            message = self.channel.receive()
+            command = message.get("command")
+            if command == "setBreakpoints":
+                self.set_file_breakpoints(message.get("file", ""), message.get("lines", []))
+                continue
+            if command == "continue":
+                self.set_continue()
+            elif command == "stepOver":
+                self.set_next(frame)
+            elif command == "stepInto":
+                self.set_step()
+            elif command == "stepOut":
+                self.set_return(frame)
+            else:
+                continue
+            self.channel.send({"event": "resumed"})
+            return
+
+
+def main():
+    sandbox_dir, script = sys.argv[1], os.path.realpath(sys.argv[2])
+    channel = Channel(CHANNEL_FD)
+    start = channel.receive()
+
+    debugger = Debugger(channel, sandbox_dir)
+    debugger.stop_on_entry = bool(start.get("stopOnEntry"))
+    for file, lines in (start.get("breakpoints") or {}).items():
+        debugger.set_file_breakpoints(file, lines)
+
+    # Look like `python script`: argv, import path and __main__ are the script's
+    sys.argv = [script]
+    sys.path[0] = os.path.dirname(script)
+    with open(script, "rb") as handle:
+        code = compile(handle.read(), script, "exec")
+    namespace = {"__name__": "__main__", "__file__": script, "__builtins__": __builtins__}
+
+    try:
+        debugger.run(code, namespace)
+    except bdb.BdbQuit:
+        pass
+    except SystemExit:
+        raise
+    except BaseException as error:
+        # Print the traceback from the program's first frame, without the adapter's own frames
+        tb = error.__traceback__
+        while tb is not None and not debugger.in_sandbox(tb.tb_frame):
+            tb = tb.tb_next
+        traceback.print_exception(type(error), error, tb)
+        sys.exit(1)
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,66 @@
+"""
+Resource usage wrapper for user programs.
+
+Runs a command, waits for it with wait4() and writes the child's resource
+usage as JSON to a file, because Node cannot read a child's rusage itself.
+
+Usage: measure.py <usage-file> <command> [args...]
+
+Writes {"maxRssKb", "userTimeMs", "sysTimeMs"} to <usage-file> and exits with
+the command's exit status, re-raising its terminating signal if it had one.
+"""
+
+import json
+import os
+import resource
+import signal
+import sys
+
+
+def main():
+    usage_file, argv = sys.argv[1], sys.argv[2:]
+
+    pid = os.fork()
+    if pid == 0:
+        # Python ignores these at startup and ignored dispositions survive exec,
+        # which would hide SIGXFSZ/SIGPIPE from the program
+        signal.signal(signal.SIGPIPE, signal.SIG_DFL)
+        signal.signal(signal.SIGXFSZ, signal.SIG_DFL)
+        try:
+            os.execvp(argv[0], argv)
+        except OSError as error:
+            sys.stderr.write(f"{argv[0]}: {error.strerror}\n")
+            os._exit(127)
+
+    # The runner's timeout sends SIGTERM to us; make sure the program dies too
+    def stop_child(signum, _frame):
+        try:
+            os.kill(pid, signal.SIGKILL)
+        except ProcessLookupError:
+            pass
+
+    signal.signal(signal.SIGTERM, stop_child)
+
+    _, status, usage = os.wait4(pid, 0)
+    with open(usage_file, "w") as handle:
+        json.dump(
+            {
+                "maxRssKb": usage.ru_maxrss,
+                "userTimeMs": round(usage.ru_utime * 1000),
+                "sysTimeMs": round(usage.ru_stime * 1000),
+            },
+            handle,
+        )
+
+    if os.WIFSIGNALED(status):
+        sig = os.WTERMSIG(status)
+        # Re-raising e.g. SIGSEGV must not leave a core dump of this wrapper behind
+        resource.setrlimit(resource.RLIMIT_CORE, (0, 0))
+        if sig != signal.SIGKILL:
+            signal.signal(sig, signal.SIG_DFL)
+        os.kill(os.getpid(), sig)
+    sys.exit(os.WEXITSTATUS(status))
+
+
+if __name__ == "__main__":
+    main()
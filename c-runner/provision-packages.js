@@ -0,0 +1,71 @@
+/**
+ * Package Provisioning Script
+ *
+ * Installs the allowlisted packages from packages.json into PACKAGES_DIR
+ * (default: ./packages) so user programs can import them without network access.
+ * Run once per deployment, before starting the runner:
+ *
+ *   npm run provision-packages
+ *
+ * Layout:
+ * - <PACKAGES_DIR>/python            pip --target directory, put on PYTHONPATH
+ * - <PACKAGES_DIR>/node/node_modules npm prefix, put on NODE_PATH
+ *
+ * Package names come from the allowlist only and are passed as argv entries,
+ * never through a shell.
+ */
+
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const PACKAGES_DIR = process.env.PACKAGES_DIR || path.join(__dirname, "packages");
+const PYTHON_CMD = process.env.PYTHON_PATH || "python3";
+const allowlist = require("./packages.json");
+
+/**
+ * Runs an installer and exits the script if it fails
+ *
+ * @function run
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ */
+function run(command, args) {
+  console.log(`$ ${command} ${args.join(" ")}`);
+  const result = spawnSync(command, args, { stdio: "inherit" });
+  if (result.status !== 0) {
+    console.error(`${command} failed${result.error ? `: ${result.error.message}` : ""}`);
+    process.exit(1);
+  }
+}
+
+fs.mkdirSync(PACKAGES_DIR, { recursive: true });
+
+if (allowlist.python.length) {
+  run(PYTHON_CMD, [
+    "-m",
+    "pip",
+    "install",
+    "--no-cache-dir",
+    "--upgrade",
+    "--target",
+    path.join(PACKAGES_DIR, "python"),
+    ...allowlist.python.map((pkg) => `${pkg.name}==${pkg.version}`),
+  ]);
+}
+
+if (allowlist.javascript.length) {
+  const prefix = path.join(PACKAGES_DIR, "node");
+  fs.mkdirSync(prefix, { recursive: true });
+  run("npm", [
+    "install",
+    "--prefix",
+    prefix,
+    "--no-save",
+    "--no-package-lock",
+    "--ignore-scripts",
+    ...allowlist.javascript.map((pkg) => `${pkg.name}@${pkg.version}`),
+  ]);
+}
+
+console.log(`Packages provisioned in ${PACKAGES_DIR}`);
@@ -0,0 +1,104 @@
+/**
+ * Command injection tests
+ *
+ * Compile and run steps are spawned from argv arrays without a shell, so file
+ * names and class names taken from user code must reach the compiler or
+ * interpreter as single, literal arguments.
+ *
+ * Run with: npm test
+ */
+
+process.env.COMPILE_CACHE_DISABLED = "true";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const {
+  languageConfigs,
+  resolveSources,
+  executeWithTimeout,
+  executeInSandbox,
+} = require("../c-runner-backend");
+
+const PAYLOAD = "$(touch pwned);`touch pwned` && touch pwned";
+const defaultOptions = (language) => resolveSources(language, { code: "x" }).sources.compilerOptions;
+const hasCommand = (command) => spawnSync(command, ["--version"], { stdio: "ignore" }).status === 0;
+
+test("java class names are limited to identifier characters", () => {
+  const { sources } = resolveSources("java", {
+    code: "public class Main$(touch pwned) { public static void main(String[] a) {} }",
+  });
+  assert.deepStrictEqual(Object.keys(sources.files), ["Main.java"]);
+});
+
+test("a crafted java class name stays one argument of the run step", () => {
+  const sandboxDir = path.join(os.tmpdir(), "sandbox");
+  const step = languageConfigs.java.runStep(path.join(sandboxDir, `${PAYLOAD}.java`), sandboxDir);
+  assert.strictEqual(step.command, "java");
+  assert.strictEqual(step.args[step.args.length - 1], PAYLOAD);
+});
+
+test("a crafted file name stays one argument of the compile step", () => {
+  const sandboxDir = path.join(os.tmpdir(), "sandbox");
+  const source = path.join(sandboxDir, `${PAYLOAD}.cpp`);
+  const step = languageConfigs.cpp.compileStep(source, sandboxDir, [source], defaultOptions("cpp"));
+  assert.strictEqual(step.command, "g++");
+  assert.ok(step.args.includes(source));
+});
+
+test("project paths with shell syntax are rejected", () => {
+  for (const filePath of ["$(id).py", "a;b.py", "`id`.py", "a b.py", "../main.py", "-rf.py"]) {
+    const { error } = resolveSources("python", { files: { [filePath]: "print(1)" } });
+    assert.ok(error, `${filePath} should be rejected`);
+  }
+});
+
+test("executeWithTimeout passes arguments literally", async (t) => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "argv-"));
+  t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+  const result = await executeWithTimeout({ command: "echo", args: [PAYLOAD] }, 5000, "", { cwd });
+  assert.strictEqual(result.exitCode, 0);
+  assert.strictEqual(result.stdout, `${PAYLOAD}\n`);
+  assert.deepStrictEqual(fs.readdirSync(cwd), []);
+});
+
+test("executeWithTimeout reports a missing executable as exit code 127", async () => {
+  const result = await executeWithTimeout({ command: "no-such-compiler", args: [] }, 5000);
+  assert.strictEqual(result.exitCode, 127);
+  assert.match(result.stderr, /ENOENT/);
+});
+
+test("a python entry file with shell syntax in its name runs as-is", { skip: !hasCommand("python3") }, async () => {
+  const entry = `main${PAYLOAD.replace(/ /g, "_")}.py`;
+  const result = await executeInSandbox(
+    "python",
+    {
+      files: { [entry]: "import os, sys\nprint(os.path.basename(sys.argv[0]))\nprint(sorted(os.listdir('.')))" },
+      entry,
+      compilerOptions: null,
+    },
+    ""
+  );
+  assert.strictEqual(result.verdict, null, result.stderr);
+  assert.strictEqual(result.stdout, `${entry}\n${JSON.stringify([entry]).replace(/"/g, "'")}\n`);
+});
+
+test("c sources with shell syntax in their names compile as-is", { skip: !hasCommand("gcc") }, async () => {
+  const entry = "main;touch_pwned.c";
+  const result = await executeInSandbox(
+    "c",
+    {
+      files: { [entry]: '#include <stdio.h>\nint main(void) { puts("ok"); return 0; }' },
+      entry,
+      compilerOptions: defaultOptions("c"),
+    },
+    ""
+  );
+  assert.strictEqual(result.verdict, null, result.stderr);
+  assert.strictEqual(result.stdout, "ok\n");
+});
@@ -0,0 +1,37 @@
+/**
+ * Complexity fit tests
+ *
+ * fitComplexity picks the complexity class whose curve best matches the
+ * timings of a benchmark (POST /benchmark).
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { fitComplexity } = require("../c-runner-backend");
+
+// Timings of `time(n) = startup + perElement · cost(n)` at the given sizes
+const timings = (sizes, cost, { startup = 25, perElement = 1e-5 } = {}) =>
+  sizes.map((size) => ({ size, timeMs: startup + perElement * cost(size) }));
+
+test("a quadratic solution is fitted as O(n²)", () => {
+  const { best } = fitComplexity(timings([1000, 2000, 4000, 8000, 16000], (n) => n * n));
+  assert.strictEqual(best, "O(n²)");
+});
+
+test("close sizes whose 2ⁿ fit overflows still get a fit", () => {
+  const { best, fits, curve } = fitComplexity(timings([1000, 1010, 1020], (n) => n, { perElement: 5 }));
+  assert.strictEqual(best, "O(n)");
+  assert.ok(fits.every((fit) => Number.isFinite(fit.coefficient) && Number.isFinite(fit.rmse)));
+  assert.ok(fits.every((fit) => fit.name !== "O(2ⁿ)"));
+  assert.ok(curve.every((point) => Number.isFinite(point.timeMs)));
+});
+
+// The Count Primes preset in src/App.js expects O(n log n) and counts faster fits as meeting it
+test("a sieve's O(n log log n) at the Count Primes sizes is fitted no slower than O(n log n)", () => {
+  const sizes = [250000, 500000, 1000000, 2000000, 4000000];
+  const { best } = fitComplexity(timings(sizes, (n) => n * Math.log2(Math.log2(n))));
+  assert.ok(["O(n)", "O(n log n)"].includes(best), `fitted as ${best}`);
+});
@@ -0,0 +1,122 @@
+/**
+ * Executor conformance tests
+ *
+ * Every executor backend must give the same results for the same programs:
+ * output, stdin, exit codes, compile (or syntax) errors and time limits, in
+ * every language. Backends that are not available on this host and languages
+ * whose toolchain is not installed are skipped. The mock backend answers from
+ * the expected results, so it checks the runner's own plumbing for all
+ * languages.
+ *
+ * Run with: npm test
+ */
+
+process.env.COMPILE_CACHE_DISABLED = "true";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  languageConfigs,
+  resolveSources,
+  executeInSandbox,
+  executors,
+  createMockExecutor,
+  selectExecutor,
+  SECURITY_CONFIG,
+} = require("../c-runner-backend");
+const { PROGRAMS, INPUT, toolchainInstalled } = require("./programs");
+
+// Keeps the time limit cases short
+SECURITY_CONFIG.timeouts.execution = 2000;
+
+// Cases of PROGRAMS checked against every backend
+const CASES = ["hello", "echo", "exit", "broken", "loop"];
+
+/**
+ * What every backend must report for a case
+ *
+ * @param {string} name - Case name
+ * @param {boolean} compiled - Whether the language has a compile step
+ * @returns {Object} Expected subset of the executeInSandbox result
+ */
+const expectedResult = (name, compiled) => {
+  switch (name) {
+    case "hello":
+      return { phase: "run", verdict: null, exitCode: 0, stdout: "hello\n" };
+    case "echo":
+      return { phase: "run", verdict: null, exitCode: 0, stdout: INPUT };
+    case "exit":
+      return { phase: "run", verdict: "Runtime Error", exitCode: 3 };
+    case "broken":
+      return compiled ? { phase: "compile", verdict: "Compilation Error" } : { phase: "run", verdict: "Runtime Error" };
+    case "loop":
+      return { phase: "run", verdict: "Time Limit Exceeded", timedOut: true };
+    default:
+      throw new Error(`Unknown case ${name}`);
+  }
+};
+
+// Case the mock executor is answering for; cases run one at a time
+let current = null;
+
+const mockExecutor = createMockExecutor((step, { input }) => {
+  const { name, compiled } = current;
+  if (step.phase === "compile") {
+    return name === "broken" ? { exitCode: 1, stderr: "main:1:1: error: expected ';'\n" } : {};
+  }
+  switch (name) {
+    case "hello":
+      return { stdout: "hello\n" };
+    case "echo":
+      return { stdout: input };
+    case "exit":
+      return { exitCode: 3 };
+    case "broken":
+      return compiled ? {} : { exitCode: 1, stderr: "SyntaxError: invalid syntax\n" };
+    default:
+      return { delayMs: 60 * 1000 }; // loop: runs until the runner kills it
+  }
+});
+
+const BACKENDS = { ...executors, mock: mockExecutor };
+
+/**
+ * Runs one case with an executor and checks the result
+ *
+ * @param {Object} executor - Executor under test
+ * @param {string} language - Language identifier
+ * @param {string} name - Case name
+ * @param {string} code - Source of the case
+ */
+const checkCase = async (executor, language, name, code) => {
+  const compiled = Boolean(languageConfigs[language].compileStep);
+  current = { name, compiled };
+  selectExecutor(executor);
+  try {
+    const { sources } = resolveSources(language, { code });
+    const result = await executeInSandbox(language, sources, INPUT);
+    const expected = expectedResult(name, compiled);
+    const actual = Object.fromEntries(Object.keys(expected).map((key) => [key, result[key]]));
+    assert.deepStrictEqual(actual, expected, result.stderr);
+  } finally {
+    selectExecutor("local");
+  }
+};
+
+for (const [backendName, executor] of Object.entries(BACKENDS)) {
+  test(`${backendName} executor`, { skip: !executor.available() && "not available on this host" }, async (t) => {
+    for (const [language, programs] of Object.entries(PROGRAMS)) {
+      const installed = executor === mockExecutor || toolchainInstalled(language);
+      await t.test(language, { skip: !installed && "toolchain not installed" }, async (t) => {
+        for (const name of CASES) {
+          await t.test(name, () => checkCase(executor, language, name, programs[name]));
+        }
+      });
+    }
+  });
+}
+
+test("unknown executors are rejected", () => {
+  assert.throws(() => selectExecutor("vm"), /Unknown executor "vm"/);
+});
@@ -0,0 +1,212 @@
+/**
+ * Language tests
+ *
+ * Runs every case of test/programs.js in every language of languageConfigs
+ * through POST /run (handleCodeExecution) and checks the exact response:
+ * the same fields with the same types for every language and outcome, plus
+ * the values each case must produce. Languages whose toolchain is not
+ * installed are skipped.
+ *
+ * Run with: npm test
+ */
+
+process.env.COMPILE_CACHE_DISABLED = "true";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { app, languageConfigs, SECURITY_CONFIG } = require("../c-runner-backend");
+const { PROGRAMS, INPUT, UNICODE_TEXT, toolchainInstalled } = require("./programs");
+
+// Keeps the time limit cases short
+SECURITY_CONFIG.timeouts.execution = 2000;
+// Every case is its own request
+SECURITY_CONFIG.rateLimit.maxRequests = Infinity;
+
+// Every field of a /run response and its allowed types (see executeCode)
+const RESPONSE_FIELDS = {
+  stdout: ["string"],
+  stderr: ["string"],
+  exitCode: ["number", "null"],
+  signal: ["string", "null"],
+  phase: ["string"],
+  timedOut: ["boolean"],
+  truncated: ["boolean"],
+  compileTimeMs: ["number", "null"],
+  compileCached: ["boolean"],
+  runTimeMs: ["number", "null"],
+  peakMemoryKb: ["number", "null"],
+  verdict: ["string", "null"],
+  diagnostics: ["array"],
+  crashReport: ["object", "null"],
+  profile: ["object", "null"],
+  output: ["string"],
+};
+
+const TRUNCATION_MARKER = "\n...output truncated...";
+
+const typeOf = (value) => (value === null ? "null" : Array.isArray(value) ? "array" : typeof value);
+
+/**
+ * Checks the values a case must produce
+ *
+ * @param {string} name - Case name
+ * @param {boolean} compiled - Whether the language has a compile step
+ * @param {Object} body - /run response
+ */
+const checkResult = (name, compiled, body) => {
+  switch (name) {
+    case "hello":
+    case "echo":
+    case "unicode": {
+      const expected = { hello: "hello\n", echo: INPUT, unicode: UNICODE_TEXT }[name];
+      assert.strictEqual(body.verdict, null);
+      assert.strictEqual(body.exitCode, 0);
+      assert.strictEqual(body.stdout, expected);
+      assert.strictEqual(body.output, expected);
+      assert.strictEqual(body.truncated, false);
+      break;
+    }
+    case "exit":
+      assert.strictEqual(body.verdict, "Runtime Error");
+      assert.strictEqual(body.exitCode, 3);
+      break;
+    case "broken":
+      if (compiled) {
+        assert.strictEqual(body.phase, "compile");
+        assert.strictEqual(body.verdict, "Compilation Error");
+        assert.strictEqual(body.runTimeMs, null);
+      } else {
+        assert.strictEqual(body.verdict, "Runtime Error");
+      }
+      assert.notStrictEqual(body.exitCode, 0);
+      assert.ok(body.output.length > 0, "the error is reported");
+      break;
+    case "loop":
+      assert.strictEqual(body.verdict, "Time Limit Exceeded");
+      assert.strictEqual(body.timedOut, true);
+      assert.strictEqual(body.exitCode, null);
+      break;
+    case "flood":
+      assert.strictEqual(body.verdict, null);
+      assert.strictEqual(body.truncated, true);
+      assert.ok(body.stdout.startsWith("0123456789\n0123456789\n"));
+      assert.ok(body.stdout.endsWith(TRUNCATION_MARKER));
+      assert.ok(body.stdout.length <= 5000 + TRUNCATION_MARKER.length);
+      break;
+    default:
+      throw new Error(`Unknown case ${name}`);
+  }
+  if (body.phase === "run") {
+    assert.strictEqual(typeof body.runTimeMs, "number");
+    assert.strictEqual(body.compileTimeMs === null, !compiled);
+  }
+};
+
+test("/run in every language", async (t) => {
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/run`;
+  t.after(() => server.close());
+
+  for (const [language, programs] of Object.entries(PROGRAMS)) {
+    await t.test(language, { skip: !toolchainInstalled(language) && "toolchain not installed" }, async (t) => {
+      const compiled = Boolean(languageConfigs[language].compileStep);
+      for (const [name, code] of Object.entries(programs)) {
+        await t.test(name, async () => {
+          const response = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ language, code, input: INPUT }),
+          });
+          assert.strictEqual(response.status, 200);
+          const body = await response.json();
+
+          assert.deepStrictEqual(Object.keys(body).sort(), Object.keys(RESPONSE_FIELDS).sort());
+          for (const [field, types] of Object.entries(RESPONSE_FIELDS)) {
+            assert.ok(types.includes(typeOf(body[field])), `${field} is ${typeOf(body[field])}`);
+          }
+          checkResult(name, compiled, body);
+        });
+      }
+    });
+  }
+});
+
+test("languages missing from the test programs", () => {
+  assert.deepStrictEqual(
+    Object.keys(languageConfigs).filter((language) => !PROGRAMS[language]),
+    [],
+    "every language in languageConfigs needs test programs"
+  );
+});
+
+test("non-string input is rejected", async (t) => {
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => server.close());
+  const post = (route, body) =>
+    fetch(`${base}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  const code = PROGRAMS.python.echo;
+
+  const run = await post("/run", { language: "python", code, input: 5 });
+  assert.strictEqual(run.status, 400);
+  assert.deepStrictEqual(await run.json(), { error: "input must be a string" });
+
+  const judge = await post("/judge", { language: "python", code, testCases: [{ input: 5, expectedOutput: "5" }] });
+  assert.strictEqual(judge.status, 400);
+  assert.deepStrictEqual(await judge.json(), { error: "Test case input must be a string" });
+});
+
+test("programs do not see the runner's secrets", async (t) => {
+  const secrets = { INTERNAL_API_TOKEN: "room-events-secret", ADMIN_TOKEN: "admin-secret" };
+  const saved = Object.fromEntries(Object.keys(secrets).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, secrets);
+  const server = app.listen(0);
+  t.after(() => {
+    server.close();
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/run`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ language: "python", code: "import os\nfor k, v in os.environ.items():\n    print(k, v)" }),
+  });
+  const body = await response.json();
+  assert.strictEqual(body.exitCode, 0, body.stderr);
+  assert.match(body.stdout, /^PATH /m, "allowlisted variables are passed on");
+  for (const [name, value] of Object.entries(secrets)) {
+    assert.ok(!body.stdout.includes(name) && !body.stdout.includes(value), `${name} is visible`);
+  }
+});
+
+test("forked processes cannot keep a run going past its limit", async (t) => {
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/run`;
+  t.after(() => server.close());
+  // The fork inherits stdout and outlives the limit; the parent either waits for it or exits at once
+  const programs = {
+    "parent waits": "import os, time\nif os.fork() == 0:\n    time.sleep(30)\nelse:\n    os.wait()",
+    "parent exits": "import os, time\nif os.fork() == 0:\n    time.sleep(30)\nprint('parent done')",
+  };
+
+  for (const [name, code] of Object.entries(programs)) {
+    await t.test(name, async () => {
+      const start = Date.now();
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ language: "python", code }),
+      });
+      await response.json();
+      assert.ok(Date.now() - start < SECURITY_CONFIG.timeouts.execution + 2000, `took ${Date.now() - start} ms`);
+    });
+  }
+});
@@ -0,0 +1,127 @@
+/**
+ * Test programs for every language in languageConfigs
+ *
+ * Each language implements the same cases:
+ * - hello: prints "hello"
+ * - echo: prints the first line of stdin
+ * - exit: exits with code 3
+ * - broken: does not compile (a syntax error for interpreted languages)
+ * - loop: never finishes
+ * - flood: prints 100000 lines, far more than a response keeps
+ * - unicode: prints UNICODE_TEXT
+ */
+
+const { spawnSync } = require("child_process");
+
+const { languageConfigs } = require("../c-runner-backend");
+
+const INPUT = "conformance 42\n"; // stdin of every case
+
+const UNICODE_TEXT = "héllo, wörld ✓ 日本語\n";
+
+const PROGRAMS = {
+  c: {
+    hello: '#include <stdio.h>\nint main(void) { printf("hello\\n"); return 0; }\n',
+    echo: '#include <stdio.h>\nint main(void) { char line[100]; fgets(line, sizeof line, stdin); printf("%s", line); return 0; }\n',
+    exit: "int main(void) { return 3; }\n",
+    broken: "int main(void) { return 0 }\n",
+    loop: "int main(void) { volatile int i = 0; for (;;) i++; }\n",
+    flood: '#include <stdio.h>\nint main(void) { for (int i = 0; i < 100000; i++) fputs("0123456789\\n", stdout); return 0; }\n',
+    unicode: '#include <stdio.h>\nint main(void) { printf("héllo, wörld ✓ 日本語\\n"); return 0; }\n',
+  },
+  cpp: {
+    hello: '#include <iostream>\nint main() { std::cout << "hello" << std::endl; }\n',
+    echo: '#include <iostream>\n#include <string>\nint main() { std::string line; std::getline(std::cin, line); std::cout << line << "\\n"; }\n',
+    exit: "int main() { return 3; }\n",
+    broken: "int main() { return 0 }\n",
+    loop: "int main() { volatile int i = 0; for (;;) i++; }\n",
+    flood: '#include <iostream>\nint main() { for (int i = 0; i < 100000; i++) std::cout << "0123456789\\n"; }\n',
+    unicode: '#include <iostream>\nint main() { std::cout << "héllo, wörld ✓ 日本語\\n"; }\n',
+  },
+  python: {
+    hello: 'print("hello")\n',
+    echo: "print(input())\n",
+    exit: "import sys\nsys.exit(3)\n",
+    broken: 'print("hello"\n',
+    loop: "while True:\n    pass\n",
+    flood: 'import sys\nsys.stdout.write("0123456789\\n" * 100000)\n',
+    unicode: 'print("héllo, wörld ✓ 日本語")\n',
+  },
+  javascript: {
+    hello: 'console.log("hello");\n',
+    echo: 'console.log(require("fs").readFileSync(0, "utf8").split("\\n")[0]);\n',
+    exit: "process.exit(3);\n",
+    broken: 'console.log("hello";\n',
+    loop: "for (;;) {}\n",
+    flood: 'process.stdout.write("0123456789\\n".repeat(100000));\n',
+    unicode: 'console.log("héllo, wörld ✓ 日本語");\n',
+  },
+  java: {
+    hello: 'public class Main { public static void main(String[] args) { System.out.println("hello"); } }\n',
+    echo: "import java.util.Scanner;\npublic class Main { public static void main(String[] args) { System.out.println(new Scanner(System.in).nextLine()); } }\n",
+    exit: "public class Main { public static void main(String[] args) { System.exit(3); } }\n",
+    broken: "public class Main { public static void main(String[] args) { int x = 0 } }\n",
+    loop: "public class Main { public static void main(String[] args) { while (true) {} } }\n",
+    flood: 'public class Main { public static void main(String[] args) { System.out.print("0123456789\\n".repeat(100000)); } }\n',
+    unicode: 'public class Main { public static void main(String[] args) { System.out.println("héllo, wörld ✓ 日本語"); } }\n',
+  },
+  go: {
+    hello: 'package main\n\nimport "fmt"\n\nfunc main() { fmt.Println("hello") }\n',
+    echo: 'package main\n\nimport (\n\t"bufio"\n\t"fmt"\n\t"os"\n)\n\nfunc main() {\n\tline, _ := bufio.NewReader(os.Stdin).ReadString(\'\\n\')\n\tfmt.Print(line)\n}\n',
+    exit: 'package main\n\nimport "os"\n\nfunc main() { os.Exit(3) }\n',
+    broken: 'package main\n\nimport "fmt"\n\nfunc main() { fmt.Println("hello" }\n',
+    loop: "package main\n\nfunc main() {\n\tfor {\n\t}\n}\n",
+    flood: 'package main\n\nimport (\n\t"fmt"\n\t"strings"\n)\n\nfunc main() { fmt.Print(strings.Repeat("0123456789\\n", 100000)) }\n',
+    unicode: 'package main\n\nimport "fmt"\n\nfunc main() { fmt.Println("héllo, wörld ✓ 日本語") }\n',
+  },
+  rust: {
+    hello: 'fn main() { println!("hello"); }\n',
+    echo: 'fn main() { let mut line = String::new(); std::io::stdin().read_line(&mut line).unwrap(); print!("{}", line); }\n',
+    exit: "fn main() { std::process::exit(3); }\n",
+    broken: 'fn main() { let x: i32 = "a"; }\n',
+    loop: "fn main() { loop {} }\n",
+    flood: 'fn main() { print!("{}", "0123456789\\n".repeat(100000)); }\n',
+    unicode: 'fn main() { println!("héllo, wörld ✓ 日本語"); }\n',
+  },
+  typescript: {
+    hello: 'console.log("hello");\n',
+    // Through globalThis, so they compile with or without @types/node
+    echo: 'const proc = (globalThis as any).process;\nlet data = "";\nproc.stdin.on("data", (chunk: string) => (data += chunk));\nproc.stdin.on("end", () => console.log(data.split("\\n")[0]));\n',
+    exit: "(globalThis as any).process.exit(3);\n",
+    broken: 'const x: number = "a";\n',
+    loop: "for (;;) {}\n",
+    flood: '(globalThis as any).process.stdout.write("0123456789\\n".repeat(100000));\n',
+    unicode: 'console.log("héllo, wörld ✓ 日本語");\n',
+  },
+  ruby: {
+    hello: 'puts "hello"\n',
+    echo: "puts gets\n",
+    exit: "exit 3\n",
+    broken: 'puts "hello\n',
+    loop: "loop {}\n",
+    flood: 'print "0123456789\\n" * 100000\n',
+    unicode: 'puts "héllo, wörld ✓ 日本語"\n',
+  },
+  kotlin: {
+    hello: 'fun main() { println("hello") }\n',
+    echo: "fun main() { println(readLine()) }\n",
+    exit: "fun main() { kotlin.system.exitProcess(3) }\n",
+    broken: 'fun main() { println("hello" }\n',
+    loop: "fun main() { while (true) {} }\n",
+    flood: 'fun main() { print("0123456789\\n".repeat(100000)) }\n',
+    unicode: 'fun main() { println("héllo, wörld ✓ 日本語") }\n',
+  },
+};
+
+/**
+ * Whether a language's toolchain is installed on this host
+ *
+ * @param {string} language - Language identifier
+ * @returns {boolean} True if its version probe succeeds
+ */
+const toolchainInstalled = (language) => {
+  const { command, args } = languageConfigs[language].versionStep;
+  return spawnSync(command, args, { stdio: "ignore" }).status === 0;
+};
+
+module.exports = { PROGRAMS, INPUT, UNICODE_TEXT, toolchainInstalled };
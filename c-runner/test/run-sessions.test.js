@@ -0,0 +1,107 @@
+/**
+ * Run session tests
+ *
+ * Streamed runs over Socket.IO outlive a dropped connection: the socket that
+ * started a run can reconnect and claim it with run-attach, and receives the
+ * rest of its output. Runs nobody claims stop after
+ * SECURITY_CONFIG.timeouts.reclaim. Interactive runs waiting for input do not
+ * keep an execution worker from other runs.
+ *
+ * Run with: npm test
+ */
+
+process.env.COMPILE_CACHE_DISABLED = "true";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { once } = require("node:events");
+const { io } = require("socket.io-client");
+
+const { httpServer, SECURITY_CONFIG } = require("../c-runner-backend");
+const { toolchainInstalled } = require("./programs");
+
+SECURITY_CONFIG.timeouts.execution = 5000;
+
+// Waits for an event, failing the test instead of hanging when it never comes
+const next = (socket, event) => once(socket, event, { signal: AbortSignal.timeout(10000) });
+
+// Prints 0..5, one line every 300 ms
+const SLOW_COUNT = "import time\nfor i in range(6):\n    print(i, flush=True)\n    time.sleep(0.3)";
+// Prompts, then echoes one line of input
+const ECHO_ONCE = 'print("ready", flush=True)\nprint(input())';
+
+test("run sessions", { skip: !toolchainInstalled("python") && "toolchain not installed" }, async (t) => {
+  httpServer.listen(0);
+  await once(httpServer, "listening");
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+  const sockets = [];
+  t.after(() => {
+    sockets.forEach((socket) => socket.disconnect());
+    httpServer.close();
+  });
+
+  const connect = async () => {
+    const socket = io(url, { transports: ["websocket"], reconnection: false });
+    sockets.push(socket);
+    await next(socket, "connect");
+    return socket;
+  };
+
+  await t.test("the owner reconnects and receives the rest of the output", async () => {
+    const socket = await connect();
+    const runId = "reconnect-run";
+    socket.emit("run-code", { runId, language: "python", code: SLOW_COUNT });
+    await next(socket, "run-stdout");
+    socket.disconnect();
+
+    socket.connect();
+    await next(socket, "connect");
+    let stdout = "";
+    socket.on("run-stdout", (data) => (stdout += data.chunk));
+    socket.emit("run-attach", { runId });
+    const [exit] = await next(socket, "run-exit");
+    socket.disconnect();
+
+    assert.strictEqual(exit.exitCode, 0);
+    assert.ok(stdout.endsWith("5\n"), `output after reconnecting: ${JSON.stringify(stdout)}`);
+  });
+
+  await t.test("unclaimed runs stop after the reclaim period", async () => {
+    const reclaim = SECURITY_CONFIG.timeouts.reclaim;
+    SECURITY_CONFIG.timeouts.reclaim = 200;
+    t.after(() => (SECURITY_CONFIG.timeouts.reclaim = reclaim));
+
+    const owner = await connect();
+    const watcher = await connect();
+    const runId = "orphaned-run";
+    owner.emit("run-code", { runId, language: "python", code: SLOW_COUNT });
+    await next(owner, "run-stdout");
+    watcher.emit("run-attach", { runId });
+    await next(watcher, "run-attached");
+    owner.disconnect();
+
+    const [exit] = await next(watcher, "run-exit");
+    watcher.disconnect();
+    assert.strictEqual(exit.signal, "SIGKILL");
+  });
+
+  await t.test("interactive runs waiting for input do not hold a worker", async (t) => {
+    const workers = SECURITY_CONFIG.queue.workers;
+    SECURITY_CONFIG.queue.workers = 1;
+    t.after(() => (SECURITY_CONFIG.queue.workers = workers));
+
+    const socket = await connect();
+    socket.emit("run-code", { runId: "waiting-run", language: "python", code: ECHO_ONCE, interactive: true });
+    await next(socket, "run-stdout");
+    socket.emit("run-code", { runId: "batch-run", language: "python", code: "print('done')" });
+    const [batchExit] = await next(socket, "run-exit");
+    assert.strictEqual(batchExit.runId, "batch-run");
+    assert.strictEqual(batchExit.exitCode, 0);
+
+    socket.emit("run-stdin", { runId: "waiting-run", data: "hi\n" });
+    const [interactiveExit] = await next(socket, "run-exit");
+    socket.disconnect();
+    assert.strictEqual(interactiveExit.runId, "waiting-run");
+    assert.strictEqual(interactiveExit.exitCode, 0);
+  });
+});
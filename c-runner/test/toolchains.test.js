@@ -0,0 +1,49 @@
+/**
+ * Toolchain readiness tests
+ *
+ * GET /ready checks only the languages listed in RUNNER_REQUIRED_LANGUAGES, and
+ * a toolchain that was missing is probed again once its retry delay has passed
+ * (see probeVersion), so the runner becomes ready without a restart.
+ *
+ * Run with: npm test
+ */
+
+process.env.RUNNER_REQUIRED_LANGUAGES = "late";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { setTimeout: sleep } = require("timers/promises");
+
+const { app, languageConfigs, VERSION_PROBE } = require("../c-runner-backend");
+
+test("a toolchain installed after startup makes the runner ready", async (t) => {
+  // A language whose version command fails until its "toolchain" file exists
+  const toolchain = path.join(os.tmpdir(), `late-toolchain-${process.pid}`);
+  languageConfigs.late = { name: "Late", versionStep: { command: "cat", args: [toolchain] } };
+  VERSION_PROBE.retryDelay = 100;
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/ready`;
+  t.after(() => {
+    server.close();
+    delete languageConfigs.late;
+    fs.rmSync(toolchain, { force: true });
+  });
+
+  const missing = await fetch(url);
+  assert.strictEqual(missing.status, 503);
+  assert.deepStrictEqual((await missing.json()).missing, ["late"]);
+
+  fs.writeFileSync(toolchain, "late 1.0\n");
+  await sleep(200);
+  const ready = await fetch(url);
+  const body = await ready.json();
+  assert.strictEqual(ready.status, 200, JSON.stringify(body.missing));
+  assert.deepStrictEqual(body.missing, []);
+  // Languages outside RUNNER_REQUIRED_LANGUAGES are listed but not required
+  const late = body.toolchains.find((toolchain) => toolchain.id === "late");
+  assert.deepStrictEqual(late, { id: "late", name: "Late", required: true, installed: true, version: "late 1.0" });
+  assert.ok(body.toolchains.filter((toolchain) => toolchain.id !== "late").every((toolchain) => !toolchain.required));
+});
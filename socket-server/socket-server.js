@@ -2,8 +2,16 @@
  * Socket.IO Server for Real-time Collaboration
  * This server handles real-time communication between users for collaborative coding sessions.
  * Features include room management, code synchronization, and chat functionality.
+ *
+ * It is the only owner of presence, invite and room state. Other services (the
+ * code runner) post events into rooms through the internal API below instead of
+ * keeping rooms of their own.
+ *
+ * Required environment:
+ * - INTERNAL_API_TOKEN: secret shared with the code runner (its INTERNAL_API_TOKEN)
  */
 
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const app = express();
@@ -20,6 +28,8 @@ app.use(
   })
 );
 
+app.use(express.json({ limit: "1mb" }));
+
 app.get("/health", (req, res) => {
   res.status(200).send("OK");
 });
@@ -40,6 +50,86 @@ const io = new Server(http, {
 // In-memory data structures for managing rooms and invites
 const rooms = new Map(); // Stores active collaboration rooms and their participants
 const pendingInvites = new Map(); // Stores pending collaboration invites
+const onlineUsers = new Map(); // userId -> { socketId, userName }
+// Proof of room membership members request with get-room-ticket: they pass it with their runs and
+// the runner sends it back when publishing, so runs only reach the rooms of whoever started them
+const roomTickets = new Map(); // ticket -> { roomId, socketId }
+
+/**
+ * Issues a room ticket to a member, or returns the one they already hold for that room
+ * so runs started with it keep publishing
+ * @param {string} roomId - Room identifier
+ * @param {string} socketId - Member's socket
+ * @returns {string} Ticket
+ */
+const issueRoomTicket = (roomId, socketId) => {
+  for (const [ticket, member] of roomTickets) {
+    if (member.socketId === socketId && member.roomId === roomId) return ticket;
+  }
+  const ticket = crypto.randomBytes(24).toString("hex");
+  roomTickets.set(ticket, { roomId, socketId });
+  return ticket;
+};
+
+/**
+ * Revokes a member's tickets when they leave a room, or every room when roomId is omitted
+ * @param {string} socketId - Member's socket
+ * @param {string} [roomId] - Room identifier
+ */
+const revokeRoomTickets = (socketId, roomId) => {
+  for (const [ticket, member] of roomTickets) {
+    if (member.socketId === socketId && (!roomId || member.roomId === roomId)) {
+      roomTickets.delete(ticket);
+    }
+  }
+};
+
+/**
+ * Broadcasts the list of online users to every client
+ */
+const emitOnlineUsers = () => {
+  io.emit(
+    "online_users",
+    Array.from(onlineUsers.entries()).map(([id, user]) => ({ id, name: user.userName }))
+  );
+};
+
+// --- Internal API ---
+// Lets trusted services publish events into rooms. Requests must carry the shared
+// INTERNAL_API_TOKEN in the X-Internal-Token header. The token is required: the server does
+// not start without it, since rooms would otherwise never receive code runs.
+const INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || null;
+
+// Events services may publish, so the API cannot impersonate participants (chat, code edits).
+// Runs are reported to rooms only by the runner:
+// - terminal-session: a participant started a run; others attach to its live output
+// - run-progress: the run is waiting for a worker ("queued") or has started ("running")
+// - code-output: the run's output and result once it ends
+const ROOM_EVENTS = new Set(["terminal-session", "run-progress", "code-output"]);
+
+/**
+ * Publish an event to every participant of a room
+ * @route POST /internal/rooms/:roomId/events
+ * @param {string} req.body.event - Event name (one of ROOM_EVENTS)
+ * @param {Object} req.body.payload - Event payload, sent as-is
+ * @param {string} req.body.ticket - Room ticket of the member the event comes from
+ */
+app.post("/internal/rooms/:roomId/events", (req, res) => {
+  if (req.get("X-Internal-Token") !== INTERNAL_API_TOKEN) {
+    return res.status(401).json({ error: "Invalid internal token" });
+  }
+  const { event, payload, ticket } = req.body || {};
+  if (!ROOM_EVENTS.has(event)) {
+    return res.status(400).json({ error: `Unsupported room event: ${event}` });
+  }
+  const { roomId } = req.params;
+  const member = roomTickets.get(ticket);
+  if (!member || member.roomId !== roomId) {
+    return res.status(403).json({ error: "Not a member of this room" });
+  }
+  io.to(roomId).emit(event, payload || {});
+  res.json({ delivered: rooms.has(roomId) });
+});
 
 /**
  * Handle new socket connections and set up event listeners
@@ -47,10 +137,22 @@ const pendingInvites = new Map(); // Stores pending collaboration invites
 io.on("connection", (socket) => {
   console.log("A user connected:", socket.id);
 
+  /**
+   * Register a user in the presence list
+   * @param {Object} params - User details
+   * @param {string} params.userId - User's unique identifier
+   * @param {string} params.userName - Display name, used as the sender of their invites
+   */
+  socket.on("user_online", ({ userId, userName }) => {
+    onlineUsers.set(userId, { socketId: socket.id, userName });
+    emitOnlineUsers();
+  });
+
   /**
    * Handle collaboration invite requests
    * Creates a new room and sends invite to other users
    * @param {Object} inviteData - Contains invite details including title and recipients
+   * @param {string} [inviteData.targetUserId] - Only invite this online user instead of everyone
    */
   socket.on("send-invite", (inviteData) => {
     console.log("Invite received:", inviteData);
@@ -62,8 +164,11 @@ io.on("connection", (socket) => {
       .substr(2, 9)}`;
 
     // Enrich the invite data with additional metadata
+    // Invites from registered users default to their display name
+    const senderInfo = Array.from(onlineUsers.values()).find((user) => user.socketId === socket.id);
     const enrichedData = {
       ...inviteData,
+      sender: inviteData.sender || (senderInfo ? senderInfo.userName : "Anonymous"),
       senderId: socket.id,
       id: inviteId,
       roomId: roomId,
@@ -91,16 +196,31 @@ io.on("connection", (socket) => {
     console.log("Current rooms:", Array.from(rooms.keys()));
     console.log("Current pending invites:", Array.from(pendingInvites.keys()));
 
+    if (inviteData.targetUserId) {
+      const target = onlineUsers.get(inviteData.targetUserId);
+      if (target) {
+        io.to(target.socketId).emit("receive-invite", enrichedData);
+      } else {
+        console.warn(`Target user ${inviteData.targetUserId} not found online.`);
+      }
+      return;
+    }
     // Broadcast to all users except sender
     socket.broadcast.emit("receive-invite", enrichedData);
   });
   
 
-  // --- Handler for broadcasting code execution output ---
-  socket.on("code-output", ({ roomId, output, error }) => {
-    console.log(`Code execution result received for room ${roomId} from socket ${socket.id}`);
-    // Broadcast the output/error to all *other* clients in the same room
-    socket.to(roomId).emit("code-output", { output, error });
+  /**
+   * Handle step debugger sessions
+   * Shares the runner debug session id so other participants can attach,
+   * follow the paused location and step the program
+   * @param {Object} params - Session parameters
+   * @param {string} params.roomId - Room identifier
+   * @param {string} params.sessionId - Runner debug session identifier
+   * @param {string} params.language - Programming language being debugged
+   */
+  socket.on("debug-session", ({ roomId, sessionId, language }) => {
+    socket.to(roomId).emit("debug-session", { sessionId, language });
   });
 
 
@@ -155,6 +275,22 @@ io.on("connection", (socket) => {
     socket.to(roomId).emit("user-joined", { userId: userInfo.userId, username: userInfo.username });
   });
 
+  /**
+   * Hand a member their room ticket
+   * Clients ask for it once their room view is mounted and again after reconnecting,
+   * so a ticket is never pushed before anyone listens for it
+   * @param {Object} params - Ticket request parameters
+   * @param {string} params.roomId - Room identifier
+   * @param {Function} ack - Called with { ticket } or { error }
+   */
+  socket.on("get-room-ticket", ({ roomId } = {}, ack) => {
+    if (typeof ack !== "function") return;
+    const room = rooms.get(roomId);
+    const isMember = room && Array.from(room.users).some((user) => user.socketId === socket.id);
+    if (!isMember) return ack({ error: "Not a member of this room" });
+    ack({ ticket: issueRoomTicket(roomId, socket.id) });
+  });
+
 
   socket.on("accept-invite", ({ inviteId, senderId, title }) => {
     console.log(`Processing invite acceptance for invite ${inviteId}`);
@@ -204,6 +340,7 @@ io.on("connection", (socket) => {
         console.log(`User ${userToRemove.username} (socket ${userToRemove.socketId}) LEFT room ${roomId}. Remaining users: ${room.users.size}`);
         // Notify others in the room
         io.to(roomId).emit("user-left", { userId: userToRemove.socketId, username: userToRemove.username });
+        revokeRoomTickets(socket.id, roomId);
 
         // Clean up empty rooms
         //if (room.users.size === 0) {
@@ -222,9 +359,20 @@ io.on("connection", (socket) => {
    * @param {string} params.roomId - Room identifier
    * @param {string} params.code - Updated code content
    * @param {string} params.language - Programming language
+   * @param {string} [params.file] - Project file the code belongs to
    */
-  socket.on("code-update", ({ roomId, code, language }) => {
-    socket.to(roomId).emit("code-update", { code, language });
+  socket.on("code-update", ({ roomId, code, language, file }) => {
+    socket.to(roomId).emit("code-update", { code, language, file });
+  });
+
+  /**
+   * Handle file removal in a multi-file room project
+   * @param {Object} params - File parameters
+   * @param {string} params.roomId - Room identifier
+   * @param {string} params.file - Path of the removed file
+   */
+  socket.on("file-delete", ({ roomId, file }) => {
+    socket.to(roomId).emit("file-delete", { file });
   });
 
 
@@ -253,6 +401,14 @@ io.on("connection", (socket) => {
    */
   socket.on("disconnect", () => {
     console.log("User disconnected:", socket.id);
+    for (const [userId, user] of onlineUsers.entries()) {
+      if (user.socketId === socket.id) {
+        onlineUsers.delete(userId);
+        emitOnlineUsers();
+        break;
+      }
+    }
+    revokeRoomTickets(socket.id);
     // Clean up user from all rooms they were part of
     rooms.forEach((room, roomId) => {
       const userToRemove = Array.from(room.users).find(
@@ -279,6 +435,10 @@ io.on("connection", (socket) => {
  * Listens on the specified port or defaults to 3001
  */
 const PORT = process.env.PORT || 3001;
+if (!INTERNAL_API_TOKEN) {
+  console.error("INTERNAL_API_TOKEN must be set so the code runner can publish runs to rooms.");
+  process.exit(1);
+}
 http.listen(PORT, () => {
   console.log(`Socket.IO server running on port ${PORT}`);
 });
@@ -11,6 +11,12 @@ import problemIcon from "./images/R2.png";
 import profileIcon from "./images/R1.jpg";
 import io from "socket.io-client";
 import CollaborationRoom from "./CollaborationRoom";
+import { streamRun, C_RUNNER_BACKEND_SERVER_URL } from "./runnerSocket";
+import { useRunnerLanguages, useRunnerPackages, languageLabel } from "./runnerLanguages";
+import DiagnosticsOverlay, { ProblemsList, jumpToLine } from "./components/EditorDiagnostics";
+import CompilerOptionsPanel from "./components/CompilerOptionsPanel";
+import ProfileReport from "./components/ProfileReport";
+import BenchmarkPanel from "./components/BenchmarkPanel";
 import AnimatedBackground from "./components/AnimatedBackground";
 import AnimatedLogo from "./components/AnimatedLogo";
 import "./styles/animations.css";
@@ -23,8 +29,8 @@ const DJANGO_WARMUP_URL = `${DJANGO_BACKEND_URL}/status/health/`;
 const SOCKET_SERVER_URL = "https://collab-coding-app-socket-server.onrender.com";
 const HEALTH_CHECK_URL = `${SOCKET_SERVER_URL}/health`; // Assuming a /health endpoint
 
-// Define the base URL for the c-runner-backend server
-const C_RUNNER_BACKEND_SERVER_URL = "https://collab-coding-app-c-runner-backend.onrender.com";
+// Code runner liveness endpoint, pinged so a cold runner is awake before the first run
+const RUNNER_HEALTH_URL = `${C_RUNNER_BACKEND_SERVER_URL}/health`;
 
 // Initialize socket outside the component, but don't connect immediately
 // We'll manage the connection manually after the health check
@@ -467,6 +473,12 @@ export default function App() {
       ]);
       
 
+      // Wake the code runner in the background; nothing below depends on it, but
+      // a runner still cold-starting would otherwise fail the user's first run
+      retryFetch(RUNNER_HEALTH_URL, {}, 10, 3000)
+        .then(() => console.log("Code runner warmed up successfully."))
+        .catch((error) => console.warn("Code runner warm-up failed:", error.message));
+
       try {
         // --- Step 1: Ping Django Backend for Warm-up ---
         console.log("Pinging Django backend warm-up endpoint...");
@@ -4078,6 +4090,25 @@ function DSATopicProblemsPage({ topic, onBack, onSelectProblem }) {
   );
 }
 
+// {  problemBenchmarks for the benchmark panel of DSAProblemDetailPage  }
+// Problem title -> input generator (reads n, prints an input of size n), sizes and intended complexity
+const problemBenchmarks = {
+  "Majority Element": {
+    generator: {
+      language: "python",
+      code:
+        "import random\nn = int(input())\nmajority = random.randint(1, 10**9)\nnums = [majority] * (n // 2 + 1) + random.choices(range(1, 10**9), k=n - n // 2 - 1)\nrandom.shuffle(nums)\nprint(n)\nprint(\" \".join(map(str, nums)))",
+    },
+    sizes: [25000, 50000, 100000, 200000, 400000], // Inputs stay below the runner's 8 MB limit
+    expected: "O(n)",
+  },
+  "Count Primes": {
+    generator: { language: "python", code: "print(int(input()))" },
+    sizes: [250000, 500000, 1000000, 2000000, 4000000],
+    expected: "O(n log n)", // The sieve's O(n log log n) is fitted as O(n) or O(n log n); both meet it
+  },
+};
+
 // {  DSAProblemDetailPage in that Code space , code box , invite a coder box, terminal box  }
 
 function DSAProblemDetailPage({
@@ -4092,6 +4123,15 @@ function DSAProblemDetailPage({
   const [loading, setLoading] = React.useState(false);
   const [copied, setCopied] = React.useState(false);
   const [language, setLanguage] = React.useState("c");
+  const runHandleRef = React.useRef(null); // Handle of the active streaming run
+  const languages = useRunnerLanguages(); // Language registry served by the runner
+  const packages = useRunnerPackages(language); // Third-party packages the code may import
+  const [diagnostics, setDiagnostics] = React.useState([]); // Parsed errors of the last run
+  const [compilerOptions, setCompilerOptions] = React.useState({}); // Options changed from the defaults
+  const [profileIterations, setProfileIterations] = React.useState(0); // Profiled runs per Flash (0 = off)
+  const [profile, setProfile] = React.useState(null); // Timing and memory statistics of the last run
+  const [showBenchmark, setShowBenchmark] = React.useState(false); // Benchmark panel below the terminal
+  const editorWrapperRef = React.useRef(null); // Scroll container around the code editor
   const SimpleCodeEditor = require("react-simple-code-editor").default;
   const highlight = require("prismjs").highlight;
   const Prism = require("prismjs");
@@ -4100,6 +4140,11 @@ function DSAProblemDetailPage({
   require("prismjs/components/prism-python");
   require("prismjs/components/prism-javascript");
   require("prismjs/components/prism-java");
+  require("prismjs/components/prism-go");
+  require("prismjs/components/prism-rust");
+  require("prismjs/components/prism-typescript");
+  require("prismjs/components/prism-ruby");
+  require("prismjs/components/prism-kotlin");
 
   // Handle both string-based topic problems and object-based detailed problems
   const problemInfo =
@@ -4110,24 +4155,50 @@ function DSAProblemDetailPage({
           difficulty: "N/A",
         }
       : problem;
-  const handleRun = async () => {
+  // Stop listening for run output if the page is left mid-run
+  React.useEffect(() => {
+    return () => runHandleRef.current && runHandleRef.current.stop();
+  }, []);
+
+  const handleRun = () => {
     setLoading(true);
     setOutput("");
-    try {
-      const endpoint = `${C_RUNNER_BACKEND_SERVER_URL}/run-${language}`;
-      const res = await fetch(endpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ code }),
-      });
-      const data = await res.json();
-      setOutput(data.output || "No output");
-    } catch (err) {
-      setOutput(
-        `Error connecting to ${language.toUpperCase()} compiler/interpreter backend.`
-      );
-    }
-    setLoading(false);
+    setDiagnostics([]);
+    setProfile(null);
+    // Output is streamed from the runner and appended as chunks arrive
+    const appendOutput = (data) => setOutput((prev) => prev + data.chunk);
+    const profiling = profileIterations > 0 ? { profile: true, iterations: profileIterations } : {};
+    runHandleRef.current = streamRun(
+      { language, code, compilerOptions, ...profiling },
+      {
+        // The runner limits concurrent executions; show our place in line until we start
+        onQueued: (data) => setOutput(`Queued (position ${data.position})...`),
+        onDequeued: () => setOutput(""),
+        onStdout: appendOutput,
+        onStderr: appendOutput,
+        onExit: (data) => {
+          setDiagnostics(data.diagnostics || []);
+          setProfile(data.profile || null);
+          setOutput((prev) => {
+            if (data.phase === "compile") return prev || "Compilation failed";
+            // Limit breaches and crashes come back as a verdict (e.g. "Memory Limit Exceeded")
+            if (data.verdict) {
+              const exitInfo = data.exitCode ? ` (exit code ${data.exitCode})` : "";
+              return `${prev}\n[${data.verdict}${exitInfo}]`;
+            }
+            return prev || "No output";
+          });
+          setLoading(false);
+        },
+        onError: (data) => {
+          setOutput(
+            data.error ||
+              `Error connecting to ${language.toUpperCase()} compiler/interpreter backend.`
+          );
+          setLoading(false);
+        },
+      }
+    );
   };
   return (
     <div className="min-h-screen flex flex-col bg-gray-100 p-6 dsa-no-scrollbar">
@@ -4202,6 +4273,8 @@ function DSAProblemDetailPage({
                   onChange={(e) => {
                     setLanguage(e.target.value);
                     setCode(""); // Clear code when changing language
+                    setDiagnostics([]);
+                    setCompilerOptions({}); // Each language has its own options
                   }}
                   className="bg-gray-700 text-white border-0 rounded-lg px-4 py-1.5 text-xs font-medium focus:outline-none focus:ring-2 focus:ring-gray-500 hover:bg-gray-800 transition-all duration-200 shadow-sm hover:shadow-md cursor-pointer"
                   style={{
@@ -4216,23 +4289,47 @@ function DSAProblemDetailPage({
                     paddingRight: "2.5rem",
                   }}
                 >
-                  <option value="c" className="bg-gray-700 text-white">
-                    C
-                  </option>
-                  <option value="cpp" className="bg-gray-700 text-white">
-                    C++
-                  </option>
-                  <option value="python" className="bg-gray-700 text-white">
-                    Python
-                  </option>
-                  <option value="javascript" className="bg-gray-700 text-white">
-                    JavaScript
-                  </option>
-                  <option value="java" className="bg-gray-700 text-white">
-                    Java
-                  </option>
+                  {languages.map((lang) => (
+                    <option key={lang.id} value={lang.id} className="bg-gray-700 text-white">
+                      {languageLabel(lang)}
+                    </option>
+                  ))}
                 </select>
-                <div className="flex gap-2">
+                <div className="flex gap-2 items-center">
+                  {packages.length > 0 && (
+                    <span
+                      className="text-gray-500 text-xs cursor-help"
+                      title={`Importable packages: ${packages.map((pkg) => `${pkg.name} ${pkg.version}`).join(", ")}`}
+                    >
+                      📦 {packages.length} packages
+                    </span>
+                  )}
+                  <CompilerOptionsPanel
+                    schema={(languages.find((lang) => lang.id === language) || {}).compilerOptions || null}
+                    value={compilerOptions}
+                    onChange={setCompilerOptions}
+                  />
+                  {/* Profiled runs report time and memory next to the output */}
+                  <select
+                    value={profileIterations}
+                    onChange={(e) => setProfileIterations(Number(e.target.value))}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg px-2 py-1.5 text-xs cursor-pointer"
+                    title="Measure time and memory over several runs"
+                  >
+                    <option value={0}>⏱ Profile off</option>
+                    <option value={1}>⏱ 1 run</option>
+                    <option value={5}>⏱ 5 runs</option>
+                    <option value={10}>⏱ 10 runs</option>
+                  </select>
+                  <button
+                    className={`px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md ${
+                      showBenchmark ? "bg-indigo-600 hover:bg-indigo-700 text-white" : "bg-gray-200 hover:bg-gray-300 text-gray-800"
+                    }`}
+                    onClick={() => setShowBenchmark((prev) => !prev)}
+                    title="Time the code on growing inputs and estimate its complexity"
+                  >
+                    📈 Benchmark
+                  </button>
                   <button
                     className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md"
                     onClick={handleRun}
@@ -4259,26 +4356,51 @@ function DSAProblemDetailPage({
                 </div>
               </div>
             </div>
-            <SimpleCodeEditor
-              value={code}
-              onValueChange={setCode}
-              highlight={(code) =>
-                highlight(code, Prism.languages[language], language)
-              }
-              padding={10}
+            <div
+              ref={editorWrapperRef}
+              className="relative overflow-y-auto"
               style={{
-                fontFamily: "Fira Mono, Menlo, Monaco, Consolas, monospace",
-                fontSize: 14,
-                height: "calc(100% - 50px)", // Account for language selector height
+                height: diagnostics.length ? "calc(100% - 50px - 8rem)" : "calc(100% - 50px)", // Account for language selector and problems list
                 borderRadius: "0.5rem",
-                background: "#f9fafb",
-                color: "#222",
-                outline: "none",
                 marginBottom: "0.5rem",
-                overflowY: "auto",
-                overflowX: "hidden",
+                fontFamily: "Fira Mono, Menlo, Monaco, Consolas, monospace", // Sizes the overlay's ch units
+                fontSize: 14,
               }}
-              placeholder="Let's crack the code."
+            >
+              <SimpleCodeEditor
+                value={code}
+                onValueChange={setCode}
+                highlight={(code) => {
+                  // Highlight with the grammar the runner names for this language, if loaded
+                  const grammarName = (languages.find((lang) => lang.id === language) || {}).prism;
+                  const grammar = Prism.languages[grammarName];
+                  return grammar ? highlight(code, grammar, grammarName) : Prism.util.encode(code);
+                }}
+                padding={10}
+                style={{
+                  fontFamily: "Fira Mono, Menlo, Monaco, Consolas, monospace",
+                  fontSize: 14,
+                  lineHeight: "21px", // Fixed so diagnostics line up with the text
+                  minHeight: "100%",
+                  background: "#f9fafb",
+                  color: "#222",
+                  outline: "none",
+                  overflowX: "hidden",
+                }}
+                placeholder="Let's crack the code."
+              />
+              {/* Single-file editor: every diagnostic belongs to the code shown */}
+              <DiagnosticsOverlay diagnostics={diagnostics} code={code} padding={10} lineHeight={21} />
+            </div>
+            <ProblemsList
+              diagnostics={diagnostics}
+              onSelect={(diagnostic) =>
+                jumpToLine(
+                  editorWrapperRef.current && editorWrapperRef.current.querySelector("textarea"),
+                  diagnostic.line,
+                  diagnostic.column
+                )
+              }
             />
           </div>
         </div>
@@ -4403,7 +4525,18 @@ function DSAProblemDetailPage({
             >
               {output ? output : "Output..."}
             </div>
-            <div className="text-xs text-gray-300 mt-2"></div>
+            <div className="text-xs text-gray-300 mt-2">
+              {profile && <ProfileReport profile={profile} />}
+              {showBenchmark && (
+                <BenchmarkPanel
+                  key={`${problemInfo.title}-${language}`}
+                  language={language}
+                  code={code}
+                  compilerOptions={compilerOptions}
+                  preset={problemBenchmarks[problemInfo.title]}
+                />
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -6,6 +6,7 @@
  * - Execute code in various programming languages
  * - Chat with other participants
  * - See real-time updates from other users
+ * - Step through Python/JavaScript programs together in a shared debugger
  *
  * @param {string} roomId - Unique identifier for the collaboration room
  * @param {string} problemTitle - Title of the current coding problem/session
@@ -15,6 +16,198 @@
  */
 
 import React, { useState, useEffect, useRef } from "react";
+import { streamRun, attachRun } from "./runnerSocket";
+import { startDebugSession, attachDebugSession } from "./runnerDebugger";
+import { useRunnerLanguages, languageLabel } from "./runnerLanguages";
+import DiagnosticsOverlay, { ProblemsList, jumpToLine } from "./components/EditorDiagnostics";
+import CrashReport from "./components/CrashReport";
+import DebuggerPanel, { BreakpointGutter } from "./components/DebuggerPanel";
+
+/**
+ * Terminal Chunk Appender
+ * Merges a streamed chunk into the last terminal entry when it has the
+ * same type, so a chatty program renders as one growing block.
+ *
+ * @param {Array} entries - Current terminal entries
+ * @param {string} type - Entry type ("output", "stderr" or "compile")
+ * @param {string} chunk - Streamed text
+ * @returns {Array} New terminal entries
+ */
+const appendTerminalChunk = (entries, type, chunk) => {
+  const last = entries[entries.length - 1];
+  if (last && last.type === type) {
+    return [...entries.slice(0, -1), { type, content: last.content + chunk }];
+  }
+  return [...entries, { type, content: chunk }];
+};
+
+/**
+ * Run Exit Description
+ * @param {Object} data - run-exit payload
+ * @returns {string|null} Status line for abnormal exits, null for a clean exit
+ */
+const describeRunExit = (data) => {
+  if (data.phase !== "run") return null;
+  // Limit breaches and crashes come back as a verdict (e.g. "Memory Limit Exceeded")
+  if (data.verdict) {
+    return data.exitCode ? `${data.verdict} (exit code ${data.exitCode})` : data.verdict;
+  }
+  if (data.signal === "SIGKILL") return "Process stopped";
+  return null;
+};
+
+/**
+ * Run Summary Line
+ * Formats the structured result fields (exit status, phase timings, peak memory)
+ *
+ * @param {Object} data - run-exit payload / execution result
+ * @returns {string} e.g. "exit 0 · compile 95 ms · run 12 ms · 7.9 MB"
+ */
+const formatRunSummary = (data) => {
+  const parts = [data.signal ? `signal ${data.signal}` : `exit ${data.exitCode}`];
+  if (data.compileCached) parts.push("compile cached");
+  else if (data.compileTimeMs != null) parts.push(`compile ${data.compileTimeMs} ms`);
+  if (data.runTimeMs != null) parts.push(`run ${data.runTimeMs} ms`);
+  if (data.peakMemoryKb != null) parts.push(`${(data.peakMemoryKb / 1024).toFixed(1)} MB`);
+  if (data.truncated) parts.push("output truncated");
+  return parts.join(" · ");
+};
+
+/**
+ * Run Exit Entries
+ * Terminal entries appended when a run finishes: an error line for
+ * abnormal exits, the crash report of a debug run, then the summary line.
+ *
+ * @param {Object} data - run-exit payload
+ * @returns {Array} Terminal entries
+ */
+const runExitEntries = (data) => {
+  const entries = [];
+  const status = describeRunExit(data);
+  if (status) entries.push({ type: "error", content: status });
+  if (data.crashReport) entries.push({ type: "crash", report: data.crashReport });
+  entries.push({ type: "summary", content: formatRunSummary(data) });
+  return entries;
+};
+
+/**
+ * Debug Session Exit Line
+ * @param {Object} data - debug-exit payload
+ * @returns {string} e.g. "debug session ended · exit 0"
+ */
+const describeDebugExit = (data) => {
+  const parts = ["debug session ended", data.signal ? `signal ${data.signal}` : `exit ${data.exitCode}`];
+  if (data.timedOut) parts.push("time limit reached");
+  if (data.truncated) parts.push("output truncated");
+  return parts.join(" · ");
+};
+
+/**
+ * Debug Session Handlers
+ * Mirror a debug session in the debugger panel, editor and terminal, the same
+ * way for the participant who started it and for everyone who attached to it.
+ *
+ * @param {Object} view - Room state setters: setTerminalOutput, setBreakpoints,
+ *   setDebugSessionId, setDebugPaused, setSelectedFrame and setActiveFile
+ * @returns {Object} Handlers for startDebugSession / attachDebugSession
+ */
+const debugSessionHandlers = (view) => {
+  // Show a pause (or null while running) and open the file of its innermost frame
+  const showPause = (paused) => {
+    view.setDebugPaused(paused);
+    view.setSelectedFrame(0);
+    if (paused && paused.frames.length) view.setActiveFile(paused.frames[0].file);
+  };
+  const endSession = () => {
+    view.setDebugSessionId(null);
+    view.setDebugPaused(null);
+  };
+
+  return {
+    onAttached: (data) => {
+      view.setBreakpoints(data.breakpoints);
+      showPause(data.paused);
+    },
+    onOutput: (data) =>
+      view.setTerminalOutput((prev) =>
+        appendTerminalChunk(prev, data.stream === "stderr" ? "stderr" : "output", data.chunk)
+      ),
+    onPaused: showPause,
+    onResumed: () => view.setDebugPaused(null),
+    onBreakpoints: (data) => view.setBreakpoints(data.breakpoints),
+    onExit: (data) => {
+      endSession();
+      view.setTerminalOutput((prev) => [...prev, { type: "summary", content: describeDebugExit(data) }]);
+    },
+    onError: (data) => {
+      view.setTerminalOutput((prev) => [...prev, { type: "error", content: data.error }]);
+      if (!data.active) endSession();
+    },
+  };
+};
+
+// Start of a sanitizer report in stderr (AddressSanitizer banner or UBSan's "file:line:col: runtime error:")
+const SANITIZER_REPORT_START = /^(=+\n)?==\d+==ERROR: |^.+?:\d+:\d+: runtime error: /m;
+
+/**
+ * Raw Sanitizer Output Remover
+ * Cuts the sanitizer's raw report out of the streamed stderr once the
+ * parsed crash report replaces it; the program's own stderr stays.
+ *
+ * @param {Array} entries - Current terminal entries
+ * @returns {Array} Entries without the raw report
+ */
+const withoutSanitizerOutput = (entries) => {
+  const index = entries.map((entry) => entry.type).lastIndexOf("stderr");
+  const match = index !== -1 && entries[index].content.match(SANITIZER_REPORT_START);
+  if (!match) return entries;
+  const content = entries[index].content.slice(0, match.index).replace(/\n+$/, "");
+  return content
+    ? [...entries.slice(0, index), { ...entries[index], content }, ...entries.slice(index + 1)]
+    : [...entries.slice(0, index), ...entries.slice(index + 1)];
+};
+
+/**
+ * Default File Name
+ * Name of a room's first file for the given language, e.g. "main.py"
+ *
+ * @param {Array} languages - Language registry
+ * @param {string} language - Language id
+ * @returns {string} File name
+ */
+const defaultFileName = (languages, language) => {
+  const lang = languages.find((l) => l.id === language);
+  return `main.${lang ? lang.extension : "txt"}`;
+};
+
+/**
+ * Terminal Entry Styles
+ * Color, prefix and label for each part of a run's output
+ */
+const TERMINAL_STYLES = {
+  command: { className: "text-black-400", prefix: "$ " },
+  output: { className: "text-black-400", label: "stdout" },
+  stderr: { className: "text-amber-600", label: "stderr" },
+  compile: { className: "text-purple-600", label: "compiler" },
+  error: { className: "text-red-400", prefix: "❌ " },
+  input: { className: "text-blue-600", prefix: "› " },
+  summary: { className: "text-gray-400 text-xs", prefix: "⏱ " },
+  queued: { className: "text-gray-500 italic", prefix: "⏳ " },
+  crash: { className: "text-red-600" },
+};
+
+/**
+ * Queue Status Entry
+ * Replaces the terminal's "queued (position N)" line, or removes it when position is null
+ *
+ * @param {Array} entries - Current terminal entries
+ * @param {number|null} position - 1-based queue position
+ * @returns {Array} Updated entries
+ */
+const setQueuedEntry = (entries, position) => {
+  const rest = entries.filter((entry) => entry.type !== "queued");
+  return position ? [...rest, { type: "queued", content: `queued (position ${position})` }] : rest;
+};
 
 const CollaborationRoom = ({
   roomId,
@@ -29,8 +222,11 @@ const CollaborationRoom = ({
    * 
    * State Categories:
    * 1. Code Management
-   *    - [code, setCode]: Current editor content with sync
+   *    - [files, setFiles]: Project files (path -> contents) with sync
+   *    - [activeFile, setActiveFile]: File shown in the editor
+   *    - [newFileName, setNewFileName]: Name being typed for a new file (null when hidden)
    *    - [language, setLanguage]: Active programming language
+   *    - languages: Language registry served by the runner
    * 
    * 2. Communication
    *    - [messages, setMessages]: Chat message history
@@ -41,6 +237,16 @@ const CollaborationRoom = ({
    * 
    * 4. Execution Environment
    *    - [terminalOutput, setTerminalOutput]: Command results
+   *    - [activeRunId, setActiveRunId]: Interactive run accepting stdin
+   *    - [terminalInput, setTerminalInput]: Pending stdin line
+   *    - [diagnostics, setDiagnostics]: Parsed compiler/runtime errors of the last run
+   *    - [editorScrollTop, setEditorScrollTop]: Editor scroll offset for the diagnostics overlay
+   * 
+   * 5. Step Debugger
+   *    - [breakpoints, setBreakpoints]: Breakpoint lines per file (shared while a session runs)
+   *    - [debugSessionId, setDebugSessionId]: Debug session shown in the debugger panel
+   *    - [debugPaused, setDebugPaused]: Current pause ({ reason, frames }), null while running
+   *    - [selectedFrame, setSelectedFrame]: Stack frame whose variables are shown
    * 
    * State Features:
    * - Real-time synchronization
@@ -48,12 +254,31 @@ const CollaborationRoom = ({
    * - Multi-user support
    * - Error state handling
    */
-  const [code, setCode] = useState(initialCode);         // Code editor content
+  const [files, setFiles] = useState({ "main.js": initialCode }); // Project files
+  const [activeFile, setActiveFile] = useState("main.js");  // File open in the editor
+  const [newFileName, setNewFileName] = useState(null);     // New file name input
   const [messages, setMessages] = useState([]);          // Chat message history
   const [newMessage, setNewMessage] = useState("");      // Message input buffer
   const [participants, setParticipants] = useState([]); // Active participants
   const [language, setLanguage] = useState("javascript"); // Selected language
+  const languages = useRunnerLanguages();                // Languages offered by the runner
   const [terminalOutput, setTerminalOutput] = useState([]); // Execution output
+  const [activeRunId, setActiveRunId] = useState(null);   // Run shown in the terminal while it runs
+  const [activeRunInteractive, setActiveRunInteractive] = useState(false); // Whether that run accepts input
+  const [interactive, setInteractive] = useState(false);  // Keep stdin open on the next run
+  const [terminalInput, setTerminalInput] = useState(""); // Terminal stdin line buffer
+  const [diagnostics, setDiagnostics] = useState([]);     // Editor annotations from the last run
+  const [editorScrollTop, setEditorScrollTop] = useState(0); // Keeps the overlay aligned
+  const [breakpoints, setBreakpoints] = useState({});    // file -> breakpoint lines
+  const [debugSessionId, setDebugSessionId] = useState(null); // Active step debugger session
+  const [debugPaused, setDebugPaused] = useState(null);   // Where the debugged program is paused
+  const [selectedFrame, setSelectedFrame] = useState(0);  // Frame shown in the variables list
+  const runHandleRef = useRef(null);                     // Handle of the run shown in the terminal
+  const debugHandleRef = useRef(null);                   // Handle of the debug session in the panel
+  const currentUsernameRef = useRef("User");             // currentUsername for the socket handlers
+  const roomTicketRef = useRef(null);                    // Room membership ticket passed with runs
+  const editorRef = useRef(null);                        // Code editor textarea
+  const code = files[activeFile] || "";                  // Editor content of the active file
 
   /**
    * Socket Event Handler Initialization
@@ -112,10 +337,24 @@ const CollaborationRoom = ({
        * Updates local code editor when other participants make changes
        */
       socket.on("code-update", (data) => {
-        setCode(data.code);
+        setFiles((prev) => {
+          // Updates from older clients carry no file name; apply them to the first file
+          const file = data.file || Object.keys(prev)[0];
+          return { ...prev, [file]: data.code };
+        });
         setLanguage(data.language);
       });
 
+      /**
+       * Handle file removal by another participant
+       */
+      socket.on("file-delete", (data) => {
+        setFiles((prev) => {
+          const { [data.file]: removed, ...rest } = prev;
+          return Object.keys(rest).length ? rest : prev;
+        });
+      });
+
       // Listen for user leaving
       socket.on("user-left", (data) => {
         setParticipants((prev) =>
@@ -137,6 +376,10 @@ const CollaborationRoom = ({
        * - Real-time updates
        */
       socket.on("code-output", (data) => {
+        // Already streamed live from the runner session
+        if (data.runId && runHandleRef.current && runHandleRef.current.runId === data.runId) {
+          return;
+        }
         setTerminalOutput((prev) => {
           const newOutputDisplay = [];
           
@@ -151,8 +394,17 @@ const CollaborationRoom = ({
             newOutputDisplay.push({ type: "error", content: data.error });
           }
 
+          if (data.result && data.result.crashReport) {
+            newOutputDisplay.push({ type: "crash", report: data.result.crashReport });
+          }
+
+          if (data.result) {
+            newOutputDisplay.push({ type: "summary", content: formatRunSummary(data.result) });
+          }
+
           return newOutputDisplay; // This REPLACES the entire array for all users
         });
+        setDiagnostics((data.result && data.result.diagnostics) || []);
       });
 
       /**
@@ -168,6 +420,108 @@ const CollaborationRoom = ({
        * - Error categorization
        * - Visual differentiation
        */
+      /**
+       * Terminal Session Handler
+       * A participant started a run; attach to it so its output streams
+       * here and, for interactive runs, anyone in the room can type input.
+       *
+       * @param {Object} data - Session info
+       * @param {string} data.runId - Runner session identifier
+       * @param {string} data.language - Language being run
+       * @param {boolean} data.interactive - Whether the run accepts input
+       */
+      socket.on("terminal-session", (data) => {
+        // Published by the runner for every run, including our own
+        if (runHandleRef.current && runHandleRef.current.runId === data.runId) {
+          return;
+        }
+        runHandleRef.current && runHandleRef.current.stop();
+        debugHandleRef.current && debugHandleRef.current.stop();
+        setDebugSessionId(null);
+        setDebugPaused(null);
+        setTerminalOutput([
+          { type: "command", content: `Remote ${data.language} code running...` },
+        ]);
+        setActiveRunId(data.runId);
+        setActiveRunInteractive(Boolean(data.interactive));
+        runHandleRef.current = attachRun(data.runId, {
+          onQueued: (queued) => setTerminalOutput((prev) => setQueuedEntry(prev, queued.position)),
+          onDequeued: () => setTerminalOutput((prev) => setQueuedEntry(prev, null)),
+          onStdout: (chunk) =>
+            setTerminalOutput((prev) => appendTerminalChunk(prev, "output", chunk.chunk)),
+          onStderr: (chunk) =>
+            setTerminalOutput((prev) =>
+              appendTerminalChunk(prev, chunk.phase === "compile" ? "compile" : "stderr", chunk.chunk)
+            ),
+          onStdin: (echo) =>
+            setTerminalOutput((prev) => [
+              ...prev,
+              { type: "input", content: echo.data.replace(/\n$/, ""), sender: echo.sender },
+            ]),
+          onExit: (exit) => {
+            setTerminalOutput((prev) => [
+              ...setQueuedEntry(exit.crashReport ? withoutSanitizerOutput(prev) : prev, null),
+              ...runExitEntries(exit),
+            ]);
+            setDiagnostics(exit.diagnostics || []);
+            setActiveRunId(null);
+          },
+          onError: (err) => {
+            setTerminalOutput((prev) => [...prev, { type: "error", content: err.error }]);
+            setActiveRunId(null);
+          },
+        }, currentUsernameRef.current);
+      });
+
+      /**
+       * Run Progress Handler
+       * Shows a remote run's place in the runner queue. Runs this screen
+       * follows live get the same updates from the runner directly.
+       *
+       * @param {Object} data - Progress info
+       * @param {string} data.runId - Runner session identifier
+       * @param {string} data.status - "queued" or "running"
+       * @param {number|null} data.position - Place in the queue while queued
+       */
+      socket.on("run-progress", (data) => {
+        if (runHandleRef.current && runHandleRef.current.runId === data.runId) {
+          return;
+        }
+        setTerminalOutput((prev) => setQueuedEntry(prev, data.status === "queued" ? data.position : null));
+      });
+
+      /**
+       * Debug Session Handler
+       * A participant started a step debugger session; attach to it so
+       * everyone sees the same paused location and can step the program.
+       *
+       * @param {Object} data - Session info
+       * @param {string} data.sessionId - Runner debug session identifier
+       * @param {string} data.language - Language being debugged
+       */
+      socket.on("debug-session", (data) => {
+        runHandleRef.current && runHandleRef.current.stop();
+        debugHandleRef.current && debugHandleRef.current.stop();
+        setActiveRunId(null);
+        setTerminalOutput([
+          { type: "command", content: `Remote ${data.language} debug session...` },
+        ]);
+        setDiagnostics([]);
+        setDebugPaused(null);
+        setDebugSessionId(data.sessionId);
+        debugHandleRef.current = attachDebugSession(
+          data.sessionId,
+          debugSessionHandlers({
+            setTerminalOutput,
+            setBreakpoints,
+            setDebugSessionId,
+            setDebugPaused,
+            setSelectedFrame,
+            setActiveFile,
+          })
+        );
+      });
+
       socket.on("code-error", (data) => {
         setTerminalOutput((prev) => [
           ...prev,
@@ -195,8 +549,11 @@ const CollaborationRoom = ({
      * - room-joined: Room initialization events
      * - room-message: Chat message events
      * - code-update: Code synchronization events
+     * - file-delete: File removal events
      * - user-left: Participant departure events
      * - code-output: Execution result events
+     * - terminal-session: Shared interactive run events
+     * - debug-session: Shared debug session events
      * - code-error: Error handling events
      */
     return () => {
@@ -205,8 +562,12 @@ const CollaborationRoom = ({
         socket.off("room-joined");   // Room management
         socket.off("room-message");  // Communication
         socket.off("code-update");   // Code sync
+        socket.off("file-delete");   // File removal
         socket.off("user-left");     // Participant tracking
         socket.off("code-output");   // Execution output
+        socket.off("terminal-session"); // Shared interactive runs
+        socket.off("run-progress");  // Queue position of remote runs
+        socket.off("debug-session"); // Shared debug sessions
         socket.off("code-error");    // Error handling
       }
     };
@@ -224,90 +585,298 @@ const CollaborationRoom = ({
    * - Language context preservation
    */
   const handleCodeChange = (newCode) => {
-    setCode(newCode);
-    socket.emit("code-update", { roomId, code: newCode, language });
+    setFiles((prev) => ({ ...prev, [activeFile]: newCode }));
+    socket.emit("code-update", { roomId, code: newCode, language, file: activeFile });
+  };
+
+  // Keep the active tab pointing at an existing file (e.g. after a remote delete)
+  useEffect(() => {
+    if (!(activeFile in files)) setActiveFile(Object.keys(files)[0]);
+  }, [files, activeFile]);
+
+  /**
+   * Language Change Handler
+   * A single-file project follows the language, e.g. main.js becomes main.py
+   *
+   * @param {string} newLanguage - Selected language id
+   */
+  const handleLanguageChange = (newLanguage) => {
+    setLanguage(newLanguage);
+    const paths = Object.keys(files);
+    if (paths.length !== 1) return;
+    const renamed = defaultFileName(languages, newLanguage);
+    if (renamed === paths[0]) return;
+    setFiles({ [renamed]: files[paths[0]] });
+    setActiveFile(renamed);
+    socket.emit("file-delete", { roomId, file: paths[0] });
+    socket.emit("code-update", { roomId, code: files[paths[0]], language: newLanguage, file: renamed });
+  };
+
+  // A single file is sent as plain code, so its diagnostics may carry the runner's name for it
+  const editorDiagnostics =
+    Object.keys(files).length === 1
+      ? diagnostics
+      : diagnostics.filter((diagnostic) => diagnostic.file === activeFile);
+
+  /**
+   * Problem Selection Handler
+   * Opens the diagnostic's file and moves the caret to its line
+   *
+   * @param {Object} diagnostic - Clicked diagnostic
+   */
+  const selectProblem = (diagnostic) => {
+    if (diagnostic.file in files) setActiveFile(diagnostic.file);
+    // Wait for the tab switch to render the file's content
+    setTimeout(() => jumpToLine(editorRef.current, diagnostic.line, diagnostic.column), 0);
   };
 
+  /**
+   * File Tab Handlers
+   * Create and remove project files; both are shared with the room
+   */
+  const addFile = () => {
+    const name = (newFileName || "").trim();
+    setNewFileName(null);
+    if (!name || name in files) return;
+    setFiles((prev) => ({ ...prev, [name]: "" }));
+    setActiveFile(name);
+    socket.emit("code-update", { roomId, code: "", language, file: name });
+  };
+
+  const deleteFile = (file) => {
+    if (Object.keys(files).length === 1) return;
+    setFiles((prev) => {
+      const { [file]: removed, ...rest } = prev;
+      return rest;
+    });
+    socket.emit("file-delete", { roomId, file });
+  };
+
+  /**
+   * Room Ticket Request
+   * The room is joined before this view mounts, and a reconnect drops the
+   * membership, so the membership ticket runs pass to the runner is asked for
+   * here and again (after rejoining) on every reconnect. Without a ticket runs
+   * still work; they just aren't published to the room.
+   */
+  useEffect(() => {
+    if (!socket) return;
+    const requestTicket = () => {
+      socket.emit("get-room-ticket", { roomId }, (reply) => {
+        roomTicketRef.current = (reply && reply.ticket) || null;
+      });
+    };
+    const rejoin = () => {
+      roomTicketRef.current = null;
+      socket.emit("join-room", {
+        roomId,
+        userId: socket.id,
+        username: currentUsernameRef.current,
+        problemTitle,
+      });
+      requestTicket();
+    };
+    requestTicket();
+    socket.on("connect", rejoin);
+    return () => {
+      socket.off("connect", rejoin);
+    };
+  }, [socket, roomId, problemTitle]);
+
+  // Stop listening for run output (and debugger events) when leaving the room mid-run
+  useEffect(() => {
+    return () => {
+      runHandleRef.current && runHandleRef.current.stop();
+      debugHandleRef.current && debugHandleRef.current.stop();
+    };
+  }, []);
+
+  // Name shown next to input this client types into the shared terminal
+  const currentUsername =
+    (participants.find((p) => socket && p.socketId === socket.id) || {}).username || "User";
+  currentUsernameRef.current = currentUsername;
+
   /**
    * Code Execution Handler
    * Manages the execution of code in the selected language
    * 
    * Flow:
    * 1. Pre-execution
-   *    - Updates terminal state
-   *    - Validates code and language
+   *    - Resets terminal state
    * 
    * 2. Execution
-   *    - Sends code to execution service
-   *    - Handles response asynchronously
+   *    - Sends the single file as code, or every file with the active file as entry
+   *    - Starts a run on the runner over its socket; stdin stays open only with the Interactive toggle
+   *    - Tags the run with the room; the runner shares it so everyone can attach and type input
+   *    - Appends stdout/stderr chunks as they arrive
    * 
    * 3. Output Handling
-   *    - Processes execution results
-   *    - Updates terminal display
-   *    - Broadcasts results to room
+   *    - Reports exit status, timeouts and truncation
+   *    - The runner publishes the result to the room on exit
    * 
    * 4. Error Management
-   *    - Catches execution errors
-   *    - Formats error messages
-   *    - Updates UI appropriately
+   *    - Shows runner/connection errors
    */
-  const runCode = async () => {
-    // Clear previous terminal output before running new code
-    setTerminalOutput([]);
+  const runCode = (debug = false) => {
+    runHandleRef.current && runHandleRef.current.stop();
+    closeDebugSession();
 
-    // Initialize execution feedback
-    setTerminalOutput((prev) => [
-      ...prev,
-      { type: "command", content: `Running ${language} code...` },
+    // Clear previous terminal output before running new code
+    setTerminalOutput([
+      { type: "command", content: `${debug ? "Debugging" : "Running"} ${language} code...` },
     ]);
+    setDiagnostics([]);
 
-    try {
-      // Execute code via service
-      const response = await fetch(`https://collab-coding-app-c-runner-backend.onrender.com/run-${language}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+    // The runner falls back to main.<ext> when the open file can't be the entry (e.g. a header)
+    const paths = Object.keys(files);
+    const lang = languages.find((l) => l.id === language);
+    const source =
+      paths.length === 1
+        ? { code }
+        : { files, entry: lang && activeFile.endsWith(`.${lang.extension}`) ? activeFile : undefined };
+
+    const handle = streamRun(
+      {
+        language,
+        ...source,
+        interactive,
+        debug,
+        roomId,
+        roomTicket: roomTicketRef.current,
+        userName: currentUsername,
+      },
+      {
+        onQueued: (data) => setTerminalOutput((prev) => setQueuedEntry(prev, data.position)),
+        onDequeued: () => setTerminalOutput((prev) => setQueuedEntry(prev, null)),
+        onStdout: (data) => setTerminalOutput((prev) => appendTerminalChunk(prev, "output", data.chunk)),
+        onStderr: (data) =>
+          setTerminalOutput((prev) =>
+            appendTerminalChunk(prev, data.phase === "compile" ? "compile" : "stderr", data.chunk)
+          ),
+        onStdin: (data) => {
+          setTerminalOutput((prev) => [
+            ...prev,
+            { type: "input", content: data.data.replace(/\n$/, ""), sender: data.sender },
+          ]);
         },
-        body: JSON.stringify({ code }),
-      });
-      const data = await response.json();
+        onExit: (data) => {
+          setActiveRunId(null);
+          setDiagnostics(data.diagnostics || []);
+          setTerminalOutput((prev) => [
+            ...setQueuedEntry(data.crashReport ? withoutSanitizerOutput(prev) : prev, null),
+            ...runExitEntries(data),
+          ]);
+        },
+        onError: (data) => {
+          setActiveRunId(null);
+          setTerminalOutput((prev) => [...prev, { type: "error", content: data.error }]);
+        },
+      }
+    );
+    runHandleRef.current = handle;
+    setActiveRunId(handle.runId);
+    setActiveRunInteractive(interactive);
+  };
 
-      // Prepare the final output/error to display locally and broadcast
-      let finalOutput = [];
+  /**
+   * Debug Session Closer
+   * Ends the session in the debugger panel (if any) and stops following it
+   */
+  const closeDebugSession = () => {
+    if (debugHandleRef.current) {
+      debugHandleRef.current.end();
+      debugHandleRef.current.stop();
+      debugHandleRef.current = null;
+    }
+    setDebugSessionId(null);
+    setDebugPaused(null);
+  };
 
-      if (data.output) {
-        finalOutput.push({ type: "output", content: data.output });
-      }
-      if (data.error) {
-        finalOutput.push({ type: "error", content: data.error });
-      }
+  /**
+   * Step Debugger Handler
+   * Starts a debug session of the project and shares it with the room, so every
+   * participant follows the same pauses and can step the program.
+   * Without breakpoints the program pauses on its first line.
+   */
+  const startStepDebugger = () => {
+    runHandleRef.current && runHandleRef.current.stop();
+    closeDebugSession();
+    setActiveRunId(null);
+    setTerminalOutput([{ type: "command", content: `Debugging ${language} code step by step...` }]);
+    setDiagnostics([]);
 
-      // Update local terminal with the "Running..." message and the final result
-      setTerminalOutput((prev) => [
-        { type: "command", content: `Running ${language} code...` }, // Re-add command locally
-        ...finalOutput
-      ]);
+    // Files keep their tab names (even a single file) so frames and breakpoints match the tabs
+    const lang = languages.find((l) => l.id === language);
+    const entry = lang && activeFile.endsWith(`.${lang.extension}`) ? activeFile : undefined;
+    const fileBreakpoints = Object.fromEntries(
+      Object.entries(breakpoints).filter(([file, lines]) => file in files && lines.length)
+    );
+    const handle = startDebugSession(
+      {
+        language,
+        files,
+        entry,
+        breakpoints: fileBreakpoints,
+        stopOnEntry: Object.keys(fileBreakpoints).length === 0,
+      },
+      debugSessionHandlers({
+        setTerminalOutput,
+        setBreakpoints,
+        setDebugSessionId,
+        setDebugPaused,
+        setSelectedFrame,
+        setActiveFile,
+      })
+    );
+    debugHandleRef.current = handle;
+    setDebugSessionId(handle.sessionId);
 
-      // Sync results with room participants
-      socket.emit("code-output", {
-        roomId,
-        output: data.output,
-        error: data.error,
-      });
-    } catch (error) {
-      const errorMessage = error.message;
-      // Update local terminal for fetch errors
-      setTerminalOutput((prev) => [
-        { type: "command", content: `Running ${language} code...` },
-        { type: "error", content: errorMessage }
-      ]);
-      
-      // Broadcast the fetch error to others as well
-      socket.emit("code-output", {
-        roomId,
-        output: null, // No output in case of fetch error
-        error: errorMessage,
-      });
+    // Let the other participants attach to the session
+    socket.emit("debug-session", { roomId, sessionId: handle.sessionId, language });
+  };
+
+  /**
+   * Breakpoint Toggle Handler
+   * Adds or removes a breakpoint in the open file. While a session runs the
+   * runner applies the change and shares the new set with everyone attached.
+   *
+   * @param {number} line - 1-based line number
+   */
+  const toggleBreakpoint = (line) => {
+    if (line > code.split("\n").length) return;
+    const current = breakpoints[activeFile] || [];
+    const lines = current.includes(line)
+      ? current.filter((l) => l !== line)
+      : [...current, line].sort((a, b) => a - b);
+    setBreakpoints((prev) => ({ ...prev, [activeFile]: lines }));
+    if (debugSessionId && debugHandleRef.current) {
+      debugHandleRef.current.setBreakpoints(activeFile, lines);
+    }
+  };
+
+  // Frame selected in the debugger panel, highlighted in the editor when its file is open
+  const debugFrame = debugPaused && (debugPaused.frames[selectedFrame] || debugPaused.frames[0]);
+  const stepDebuggerAvailable = languages.some((l) => l.id === language && l.stepDebugger);
+
+  /**
+   * Terminal Input Handler
+   * Sends the typed line to the running program's stdin.
+   * Enter sends the line, Ctrl+D closes stdin, Ctrl+C stops the program.
+   *
+   * @param {KeyboardEvent} e - Key event from the terminal input
+   */
+  const handleTerminalKeyDown = (e) => {
+    const handle = runHandleRef.current;
+    if (!handle || !activeRunId) return;
+
+    if (e.key === "Enter") {
+      handle.sendInput(`${terminalInput}\n`);
+      setTerminalInput("");
+    } else if (e.ctrlKey && e.key === "d") {
+      e.preventDefault();
+      handle.closeInput();
+    } else if (e.ctrlKey && e.key === "c" && !window.getSelection().toString()) {
+      handle.kill();
     }
   };
 
@@ -373,18 +942,50 @@ const CollaborationRoom = ({
             <div className="mb-2 flex justify-between items-center flex-shrink-0">
               <select
                 value={language}
-                onChange={(e) => setLanguage(e.target.value)}
+                onChange={(e) => handleLanguageChange(e.target.value)}
                 className="bg-white/80 border border-purple-200 rounded-lg p-2 text-purple-700 font-medium focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
               >
-                <option value="c">C</option>
-                <option value="cpp">C++</option>
-                <option value="python">Python</option>
-                <option value="javascript">JavaScript</option>
-                <option value="java">Java</option>
+                {languages.map((lang) => (
+                  <option key={lang.id} value={lang.id}>
+                    {languageLabel(lang)}
+                  </option>
+                ))}
               </select>
               <div className="flex gap-2">
+                {/* Debug run: sanitizer build that explains crashes (C/C++) */}
+                {languages.some((l) => l.id === language && l.debugRun) && (
+                  <button
+                    onClick={() => runCode(true)}
+                    title="Run with AddressSanitizer and UndefinedBehaviorSanitizer"
+                    className="bg-gradient-to-r from-amber-500 to-orange-600 text-white px-4 py-2 rounded-lg text-sm hover:from-amber-600 hover:to-orange-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-orange-500/20"
+                  >
+                    Debug 🐞
+                  </button>
+                )}
+                {/* Step debugger: breakpoints, stepping and variables, shared with the room */}
+                {stepDebuggerAvailable && (
+                  <button
+                    onClick={startStepDebugger}
+                    title="Step through the program (click the editor's left margin to set breakpoints)"
+                    className="bg-gradient-to-r from-fuchsia-500 to-purple-600 text-white px-4 py-2 rounded-lg text-sm hover:from-fuchsia-600 hover:to-purple-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-purple-500/20"
+                  >
+                    Step 🔍
+                  </button>
+                )}
+                {/* Interactive runs take input from the room, within an idle time limit */}
+                <label
+                  title="Keep the program's input open so anyone in the room can type into it"
+                  className="flex items-center gap-1 text-sm text-purple-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={interactive}
+                    onChange={(e) => setInteractive(e.target.checked)}
+                  />
+                  Interactive
+                </label>
                 <button
-                  onClick={runCode}
+                  onClick={() => runCode()}
                   className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-4 py-2 rounded-lg text-sm hover:from-green-600 hover:to-emerald-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-green-500/20"
                 >
                   Flash ⚡
@@ -399,7 +1000,7 @@ const CollaborationRoom = ({
                   Copy
                 </button>
                 <button
-                  onClick={() => setCode("")}
+                  onClick={() => handleCodeChange("")}
                   className="bg-gradient-to-r from-red-500 to-rose-600 text-white px-4 py-2 rounded-lg text-sm hover:from-red-600 hover:to-rose-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-red-500/20"
                 >
                   Clear
@@ -410,33 +1011,162 @@ const CollaborationRoom = ({
             <div className="flex-1 flex gap-2 min-h-0">
               {/* Code Editor - 70% of total space */}
               <div className="w-[60%] h-full rounded-xl bg-[#f9fafb] shadow-lg border border-purple-200/20 overflow-y-auto flex flex-col">
-                <textarea
-                  value={code}
-                  onChange={(e) => handleCodeChange(e.target.value)}
-                  className="flex-1 w-full bg-transparent text-black-900 font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace p-4 focus:outline-none resize-none"
-                  placeholder="Let's crack the code."
-                />
+                {/* File tabs */}
+                <div className="flex items-center gap-1 px-2 pt-2 border-b border-purple-200/40 flex-shrink-0 overflow-x-auto">
+                  {Object.keys(files).map((file) => (
+                    <div
+                      key={file}
+                      onClick={() => setActiveFile(file)}
+                      className={`flex items-center gap-1 px-3 py-1 rounded-t-lg text-xs cursor-pointer whitespace-nowrap ${
+                        file === activeFile
+                          ? "bg-white text-purple-700 font-medium border border-b-0 border-purple-200"
+                          : "text-gray-500 hover:text-purple-600"
+                      }`}
+                    >
+                      {file}
+                      {Object.keys(files).length > 1 && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            deleteFile(file);
+                          }}
+                          className="ml-1 text-gray-400 hover:text-red-500"
+                          title={`Delete ${file}`}
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  {newFileName === null ? (
+                    <button
+                      onClick={() => setNewFileName("")}
+                      className="px-2 py-1 text-xs text-gray-500 hover:text-purple-600"
+                      title="New file"
+                    >
+                      +
+                    </button>
+                  ) : (
+                    <input
+                      autoFocus
+                      value={newFileName}
+                      onChange={(e) => setNewFileName(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") addFile();
+                        if (e.key === "Escape") setNewFileName(null);
+                      }}
+                      onBlur={addFile}
+                      placeholder="util.h"
+                      className="w-28 px-2 py-0.5 text-xs border border-purple-200 rounded focus:outline-none focus:ring-1 focus:ring-purple-500"
+                    />
+                  )}
+                </div>
+                <div
+                  className="relative flex-1 min-h-0 flex flex-col overflow-hidden"
+                  style={{ fontFamily: "Fira Mono, Menlo, Monaco, Consolas, monospace", fontSize: 14 }}
+                >
+                  <textarea
+                    ref={editorRef}
+                    value={code}
+                    onChange={(e) => handleCodeChange(e.target.value)}
+                    onScroll={(e) => setEditorScrollTop(e.target.scrollTop)}
+                    className="flex-1 w-full bg-transparent text-black-900 font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace p-4 focus:outline-none resize-none"
+                    style={{ fontFamily: "inherit", fontSize: "inherit", lineHeight: "21px" }} // Fixed so diagnostics line up
+                    placeholder="Let's crack the code."
+                  />
+                  <DiagnosticsOverlay
+                    diagnostics={editorDiagnostics}
+                    code={code}
+                    padding={16}
+                    lineHeight={21}
+                    scrollTop={editorScrollTop}
+                  />
+                  {stepDebuggerAvailable && (
+                    <BreakpointGutter
+                      breakpoints={breakpoints[activeFile] || []}
+                      pausedLine={debugFrame && debugFrame.file === activeFile ? debugFrame.line : null}
+                      onToggle={toggleBreakpoint}
+                      padding={16}
+                      lineHeight={21}
+                      scrollTop={editorScrollTop}
+                    />
+                  )}
+                </div>
+                <ProblemsList diagnostics={diagnostics} onSelect={selectProblem} />
               </div>
               {/* Terminal - 30% of total space */}
               <div className="w-[40%] h-full rounded-xl bg-[#f9fafb] shadow-lg border border-black-200/20 overflow-hidden flex flex-col min-h-0">
                 <div className="h-8 bg-[#2D2D2D] flex items-center px-4 flex-shrink-0">
                   <span className="text-gray-400 text-sm">Terminal</span>
                 </div>
+                {debugSessionId && (
+                  <DebuggerPanel
+                    paused={debugPaused}
+                    selectedFrame={selectedFrame}
+                    onSelectFrame={(idx, frame) => {
+                      setSelectedFrame(idx);
+                      if (frame.file in files) setActiveFile(frame.file);
+                    }}
+                    onCommand={(command) => debugHandleRef.current && debugHandleRef.current.command(command)}
+                    onStop={() => debugHandleRef.current && debugHandleRef.current.end()}
+                  />
+                )}
                 <div className="w-full flex-1 bg-[#f9fafb] text-black-400 font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace p-4 overflow-auto">
-                  {terminalOutput.map((output, idx) => (
-                    <div
-                      key={idx}
-                      className={`${
-                        output.type === "error"
-                          ? "text-red-400"
-                          : "text-black-400"
-                      } whitespace-pre-wrap font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace mb-1`}
-                    >
-                      {output.type === "error" ? "❌ " : "$ "}
-                      {output.content}
-                    </div>
-                  ))}
+                  {terminalOutput.map((output, idx) => {
+                    const style = TERMINAL_STYLES[output.type] || TERMINAL_STYLES.output;
+                    if (output.type === "crash") {
+                      return (
+                        <div key={idx} className={`${style.className} font-bold mb-1`}>
+                          <CrashReport report={output.report} onSelect={selectProblem} />
+                        </div>
+                      );
+                    }
+                    return (
+                      <div
+                        key={idx}
+                        className={`${style.className} whitespace-pre-wrap font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace mb-1`}
+                      >
+                        {style.label && (
+                          <span className="inline-block text-[10px] uppercase tracking-wide border border-current rounded px-1 mr-2 opacity-70">
+                            {style.label}
+                          </span>
+                        )}
+                        {style.prefix}
+                        {output.content}
+                        {output.type === "input" && output.sender && (
+                          <span className="text-xs text-gray-400"> ({output.sender})</span>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
+                {/* Shared stdin for the running program (interactive runs only) */}
+                {activeRunId && (
+                  <div className="flex items-center gap-2 border-t border-gray-200 px-4 py-2 flex-shrink-0">
+                    {activeRunInteractive ? (
+                      <>
+                        <span className="text-blue-600 font-bold">›</span>
+                        <input
+                          type="text"
+                          value={terminalInput}
+                          onChange={(e) => setTerminalInput(e.target.value)}
+                          onKeyDown={handleTerminalKeyDown}
+                          placeholder="Type input, Enter to send (Ctrl+D: EOF, Ctrl+C: stop)"
+                          className="flex-1 bg-transparent text-sm focus:outline-none"
+                          autoFocus
+                        />
+                      </>
+                    ) : (
+                      <span className="flex-1 text-sm text-gray-400">Running...</span>
+                    )}
+                    <button
+                      onClick={() => runHandleRef.current && runHandleRef.current.kill()}
+                      className="bg-red-500 hover:bg-red-600 text-white px-2 py-1 rounded text-xs"
+                    >
+                      Stop
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           </div>
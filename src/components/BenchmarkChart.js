@@ -0,0 +1,70 @@
+/**
+ * @fileoverview BenchmarkChart Component
+ *
+ * Plots a benchmark result: measured time per input size as dots and the
+ * best-fitting complexity curve (complexity.curve from the runner) as a line.
+ * Plain SVG, scaled to the largest size and time.
+ */
+
+import React from "react";
+
+// Drawing area inside the SVG viewBox, leaving room for the axis labels
+const WIDTH = 320;
+const HEIGHT = 160;
+const MARGIN = { top: 8, right: 8, bottom: 22, left: 44 };
+
+/**
+ * Benchmark Chart Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array} props.points - Measured points ({ size, timeMs, verdict }); failed points are drawn in red at the top
+ * @param {Array|null} props.curve - Fitted curve ({ size, timeMs }), or null without a fit
+ * @returns {JSX.Element} SVG chart
+ */
+const BenchmarkChart = ({ points, curve }) => {
+  const measured = points.filter((point) => point.timeMs !== null);
+  const maxSize = Math.max(...points.map((point) => point.size), 1);
+  const maxTime = Math.max(...measured.map((point) => point.timeMs), ...(curve || []).map((p) => p.timeMs), 1);
+  const x = (size) => MARGIN.left + (size / maxSize) * (WIDTH - MARGIN.left - MARGIN.right);
+  const y = (time) => HEIGHT - MARGIN.bottom - (Math.max(time, 0) / maxTime) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-800 rounded">
+      {/* Axes */}
+      <line x1={MARGIN.left} y1={y(0)} x2={WIDTH - MARGIN.right} y2={y(0)} stroke="#6b7280" />
+      <line x1={MARGIN.left} y1={MARGIN.top} x2={MARGIN.left} y2={y(0)} stroke="#6b7280" />
+      <text x={MARGIN.left - 4} y={MARGIN.top + 8} textAnchor="end" fontSize="9" fill="#9ca3af">
+        {Math.round(maxTime)} ms
+      </text>
+      <text x={MARGIN.left - 4} y={y(0)} textAnchor="end" fontSize="9" fill="#9ca3af">
+        0
+      </text>
+      <text x={WIDTH - MARGIN.right} y={HEIGHT - 6} textAnchor="end" fontSize="9" fill="#9ca3af">
+        n = {maxSize.toLocaleString()}
+      </text>
+
+      {curve && (
+        <polyline
+          points={curve.map((point) => `${x(point.size)},${y(point.timeMs)}`).join(" ")}
+          fill="none"
+          stroke="#60a5fa"
+          strokeWidth="1.5"
+        />
+      )}
+      {points.map((point) =>
+        point.timeMs === null ? (
+          <circle key={point.size} cx={x(point.size)} cy={MARGIN.top} r="3" fill="#f87171">
+            <title>{`n = ${point.size}: ${point.verdict}`}</title>
+          </circle>
+        ) : (
+          <circle key={point.size} cx={x(point.size)} cy={y(point.timeMs)} r="3" fill="#34d399">
+            <title>{`n = ${point.size}: ${point.timeMs} ms`}</title>
+          </circle>
+        )
+      )}
+    </svg>
+  );
+};
+
+export default BenchmarkChart;
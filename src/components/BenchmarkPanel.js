@@ -0,0 +1,135 @@
+/**
+ * @fileoverview BenchmarkPanel Component
+ *
+ * Benchmarks the code in the editor: a small generator program prints an input
+ * for each size n, the runner times the solution on every input and fits the
+ * timings to the common complexity classes (see POST /benchmark). The result is
+ * plotted with BenchmarkChart and compared with the problem's intended
+ * complexity when one is known.
+ */
+
+import React from "react";
+import BenchmarkChart from "./BenchmarkChart";
+import { runBenchmark } from "../runnerBenchmark";
+
+// Generator used when the problem has no preset: reads n, prints n followed by n numbers
+const DEFAULT_GENERATOR = {
+  language: "python",
+  code: 'import random\nn = int(input())\nprint(n)\nprint(" ".join(map(str, random.choices(range(1, 10**9), k=n))))',
+};
+const DEFAULT_SIZES = [10000, 20000, 40000, 80000, 160000];
+
+// Complexity classes the runner fits, from fastest to slowest growth
+const COMPLEXITY_ORDER = ["O(1)", "O(log n)", "O(n)", "O(n log n)", "O(n²)", "O(n³)", "O(2ⁿ)"];
+
+/**
+ * Benchmark Panel Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.language - Language of the solution
+ * @param {string} props.code - Solution source code
+ * @param {Object} props.compilerOptions - Compiler options of the solution
+ * @param {Object} [props.preset] - Problem preset ({ generator: { language, code }, sizes, expected })
+ * @returns {JSX.Element} Generator form, chart and fitted complexity
+ */
+const BenchmarkPanel = ({ language, code, compilerOptions, preset }) => {
+  const generator = (preset && preset.generator) || DEFAULT_GENERATOR;
+  const [generatorCode, setGeneratorCode] = React.useState(generator.code);
+  const [sizesText, setSizesText] = React.useState(((preset && preset.sizes) || DEFAULT_SIZES).join(", "));
+  const [running, setRunning] = React.useState(false);
+  const [result, setResult] = React.useState(null);
+  const [error, setError] = React.useState("");
+  const abortRef = React.useRef(null);
+
+  // Stop waiting for a benchmark if the page is left
+  React.useEffect(() => () => abortRef.current && abortRef.current.abort(), []);
+
+  const handleBenchmark = async () => {
+    setRunning(true);
+    setResult(null);
+    setError("");
+    abortRef.current = new AbortController();
+    try {
+      const data = await runBenchmark(
+        {
+          language,
+          code,
+          compilerOptions,
+          generator: { language: generator.language, code: generatorCode },
+          sizes: sizesText
+            .split(",")
+            .map((size) => size.trim())
+            .filter(Boolean)
+            .map(Number),
+        },
+        abortRef.current.signal
+      );
+      setResult(data);
+      if (data.error) setError(data.error);
+    } catch (err) {
+      if (err.name !== "AbortError") setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const best = result && result.complexity ? result.complexity.best : null;
+  const expected = preset && preset.expected;
+  // A fit faster than the intended class meets it too
+  const meetsExpected = best && expected && COMPLEXITY_ORDER.indexOf(best) <= COMPLEXITY_ORDER.indexOf(expected);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="text-gray-400">
+        Input generator ({generator.language}, reads n from stdin)
+        <textarea
+          value={generatorCode}
+          onChange={(e) => setGeneratorCode(e.target.value)}
+          rows={4}
+          className="w-full mt-1 bg-gray-800 text-gray-100 font-mono rounded p-1 resize-y"
+        />
+      </label>
+      <div className="flex items-center gap-2">
+        <input
+          value={sizesText}
+          onChange={(e) => setSizesText(e.target.value)}
+          className="flex-1 bg-gray-800 text-gray-100 rounded px-1 py-0.5"
+          title="Input sizes, increasing, separated by commas"
+        />
+        <button
+          onClick={handleBenchmark}
+          disabled={running || !code}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg disabled:opacity-50"
+        >
+          {running ? "Benchmarking..." : "Benchmark 📈"}
+        </button>
+      </div>
+
+      {error && <div className="text-red-400 whitespace-pre-wrap">{error}</div>}
+      {result && result.points.length > 0 && (
+        <>
+          <BenchmarkChart points={result.points} curve={result.complexity ? result.complexity.curve : null} />
+          <div>
+            {best ? (
+              <span className="text-gray-200">
+                Best fit: <span className="text-blue-300">{best}</span>
+              </span>
+            ) : (
+              <span className="text-gray-400">Not enough passing sizes to fit a curve</span>
+            )}
+            {best && expected && (
+              <span className={meetsExpected ? "text-green-400" : "text-yellow-400"}>
+                {" "}
+                ({meetsExpected ? "meets" : "slower than"} the intended {expected})
+              </span>
+            )}
+            {result.verdict && <span className="text-red-400"> · stopped: {result.verdict}</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkPanel;
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview CompilerOptionsPanel Component
+ *
+ * Dropdown for the compiler options a runner language accepts (standard,
+ * optimization level, warnings, sanitizers, ...). The controls are built from
+ * the schema served by GET /languages, so the runner's allowlist is the only
+ * place options are defined.
+ *
+ * Schema entries have the form { type: "enum" | "boolean" | "set", label, values, default };
+ * an enum default of null means "compiler default".
+ */
+
+import React from "react";
+
+/**
+ * Compiler Options Panel Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object|null} props.schema - The language's compilerOptions schema, or null if it has none
+ * @param {Object} props.value - Chosen options (option name -> value); unset options use the default
+ * @param {Function} props.onChange - Called with the new options object
+ * @returns {JSX.Element|null} Toggle button with the options dropdown, or null without a schema
+ */
+const CompilerOptionsPanel = ({ schema, value, onChange }) => {
+  const [open, setOpen] = React.useState(false);
+  if (!schema) return null;
+
+  const current = (name) => (value[name] === undefined ? schema[name].default : value[name]);
+  const set = (name, optionValue) => onChange({ ...value, [name]: optionValue });
+  const changed = Object.keys(value).length > 0;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        className={`px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md ${
+          changed ? "bg-indigo-600 hover:bg-indigo-700 text-white" : "bg-gray-200 hover:bg-gray-300 text-gray-800"
+        }`}
+        title="Compiler options"
+      >
+        ⚙ Options
+      </button>
+      {open && (
+        <div className="absolute left-0 top-full mt-1 z-20 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-3 text-xs space-y-2">
+          {Object.entries(schema).map(([name, option]) => {
+            if (option.type === "boolean") {
+              return (
+                <label key={name} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={current(name)}
+                    onChange={(e) => set(name, e.target.checked)}
+                  />
+                  <span className="text-gray-700">{option.label}</span>
+                </label>
+              );
+            }
+            if (option.type === "set") {
+              const selected = current(name);
+              return (
+                <div key={name}>
+                  <div className="text-gray-500 mb-1">{option.label}</div>
+                  <div className="flex flex-wrap gap-3">
+                    {option.values.map((item) => (
+                      <label key={item} className="flex items-center gap-1 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(item)}
+                          onChange={(e) =>
+                            set(
+                              name,
+                              e.target.checked
+                                ? [...selected, item]
+                                : selected.filter((other) => other !== item)
+                            )
+                          }
+                        />
+                        <span className="text-gray-700">{item}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              );
+            }
+            return (
+              <label key={name} className="flex items-center justify-between gap-2">
+                <span className="text-gray-500">{option.label}</span>
+                <select
+                  value={current(name) || ""}
+                  onChange={(e) => set(name, e.target.value || null)}
+                  className="border border-gray-300 rounded px-1 py-0.5"
+                >
+                  {option.default === null && <option value="">default</option>}
+                  {option.values.map((item) => (
+                    <option key={item} value={item}>
+                      {item}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            );
+          })}
+          {changed && (
+            <button onClick={() => onChange({})} className="text-blue-600 hover:underline">
+              Reset to defaults
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompilerOptionsPanel;
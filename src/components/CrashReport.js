@@ -0,0 +1,88 @@
+/**
+ * @fileoverview CrashReport Component
+ *
+ * Renders the runner's parsed sanitizer report (crashReport of a debug run)
+ * as a readable crash summary instead of raw AddressSanitizer/UBSan output:
+ * - What went wrong, with a plain-language hint
+ * - The user's stack frames with the source line each points at
+ * - Related stacks (where the memory was allocated or freed)
+ *
+ * Frames are clickable and jump to their line in the editor.
+ */
+
+import React from "react";
+
+/**
+ * Stack Frame List
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.frames - Frames ({ function, file, line, column, source }), innermost first
+ * @param {Function} props.onSelect - Called with the clicked frame
+ * @returns {JSX.Element} Frame list
+ */
+const FrameList = ({ frames, onSelect }) => (
+  <ol className="ml-2 border-l border-red-200 pl-2">
+    {frames.map((frame, idx) => (
+      <li key={idx} className="mb-1">
+        <button onClick={() => onSelect(frame)} className="text-left hover:underline">
+          <span className="text-gray-500">#{idx} </span>
+          <span className="text-gray-800">{frame.function || "?"}</span>
+          <span className="text-gray-500">
+            {" "}
+            at {frame.file}:{frame.line}
+            {frame.column ? `:${frame.column}` : ""}
+          </span>
+        </button>
+        {frame.source && (
+          <div className="text-gray-700 bg-red-50 rounded px-1 font-normal">
+            {frame.line} | {frame.source}
+          </div>
+        )}
+      </li>
+    ))}
+  </ol>
+);
+
+/**
+ * Crash Report Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.report - crashReport from a run-exit payload
+ *   ({ tool, kind, message, hint, access, frames, omittedFrames, related })
+ * @param {Function} props.onSelect - Called with a clicked frame ({ file, line, column, ... })
+ * @returns {JSX.Element} Crash report block
+ */
+const CrashReport = ({ report, onSelect }) => (
+  <div className="border border-red-300 rounded-lg p-2 my-1 text-xs">
+    <div className="text-red-600">
+      💥 {report.kind}
+      <span className="text-gray-400 font-normal"> ({report.tool})</span>
+    </div>
+    {report.hint && <div className="text-gray-700 font-normal mb-1">{report.hint}</div>}
+    <div className="text-gray-500 font-normal break-all">{report.access || report.message}</div>
+
+    {report.frames.length > 0 ? (
+      <>
+        <div className="text-gray-500 mt-2 mb-1">Crashed in:</div>
+        <FrameList frames={report.frames} onSelect={onSelect} />
+        {report.omittedFrames > 0 && (
+          <div className="text-gray-400 font-normal ml-2">… {report.omittedFrames} more frames</div>
+        )}
+      </>
+    ) : (
+      <div className="text-gray-400 font-normal mt-1">No frames in your code (crashed inside a library)</div>
+    )}
+
+    {report.related
+      .filter((stack) => stack.frames.length > 0)
+      .map((stack, idx) => (
+        <div key={idx}>
+          <div className="text-gray-500 mt-2 mb-1">{stack.title}:</div>
+          <FrameList frames={stack.frames} onSelect={onSelect} />
+        </div>
+      ))}
+  </div>
+);
+
+export default CrashReport;
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview DebuggerPanel Components
+ *
+ * Controls and state of a step debugger session (see runnerDebugger):
+ * - Continue / step over / step into / step out / stop buttons, enabled while paused
+ * - The call stack of the paused program, innermost frame first
+ * - Local variables of the selected frame
+ *
+ * BreakpointGutter goes on top of the code editor: clicking the left margin
+ * toggles a breakpoint and the line the program is paused on is highlighted.
+ * Like DiagnosticsOverlay it needs a monospace editor with a fixed line height.
+ */
+
+import React from "react";
+
+// Step commands in toolbar order: [command, label, tooltip]
+const STEP_BUTTONS = [
+  ["continue", "▶", "Continue to the next breakpoint"],
+  ["stepOver", "⤼", "Step over"],
+  ["stepInto", "↓", "Step into"],
+  ["stepOut", "↑", "Step out"],
+];
+
+const PAUSE_REASONS = {
+  entry: "on entry",
+  breakpoint: "at a breakpoint",
+  step: "after a step",
+};
+
+/**
+ * Debugger Panel Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object|null} props.paused - Current pause ({ reason, frames }), or null while the program runs
+ * @param {number} props.selectedFrame - Index of the frame whose variables are shown
+ * @param {function} props.onSelectFrame - Called with a frame index and the frame when a stack entry is clicked
+ * @param {function} props.onCommand - Called with continue, stepOver, stepInto or stepOut
+ * @param {function} props.onStop - Ends the session
+ * @returns {JSX.Element} Debugger controls, call stack and variables
+ */
+const DebuggerPanel = ({ paused, selectedFrame, onSelectFrame, onCommand, onStop }) => {
+  const frames = paused ? paused.frames : [];
+  const frame = frames[selectedFrame] || frames[0];
+
+  return (
+    <div className="text-xs font-mono border-b border-gray-200 p-2 flex flex-col gap-2 max-h-64 overflow-auto">
+      <div className="flex items-center gap-1">
+        {STEP_BUTTONS.map(([command, label, title]) => (
+          <button
+            key={command}
+            onClick={() => onCommand(command)}
+            disabled={!paused}
+            title={title}
+            className="bg-purple-600 hover:bg-purple-700 text-white w-7 h-6 rounded disabled:opacity-40"
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          onClick={onStop}
+          title="Stop debugging"
+          className="bg-red-500 hover:bg-red-600 text-white w-7 h-6 rounded"
+        >
+          ■
+        </button>
+        <span className="ml-2 text-gray-500">
+          {paused && frames[0]
+            ? `Paused ${PAUSE_REASONS[paused.reason] || ""} in ${frames[0].file}:${frames[0].line}`
+            : "Running..."}
+        </span>
+      </div>
+
+      {paused && (
+        <div className="flex gap-3">
+          <div className="w-2/5">
+            <div className="text-gray-400 mb-1">Call stack</div>
+            {frames.map((stackFrame, idx) => (
+              <div
+                key={idx}
+                onClick={() => onSelectFrame(idx, stackFrame)}
+                className={`cursor-pointer truncate px-1 rounded ${
+                  stackFrame === frame ? "bg-purple-100 text-purple-700" : "text-gray-600 hover:bg-gray-100"
+                }`}
+                title={`${stackFrame.file}:${stackFrame.line}`}
+              >
+                {stackFrame.name} <span className="text-gray-400">{stackFrame.file}:{stackFrame.line}</span>
+              </div>
+            ))}
+          </div>
+          <div className="flex-1 min-w-0">
+            <div className="text-gray-400 mb-1">Variables</div>
+            {frame && frame.locals.length === 0 && <div className="text-gray-400 italic">none</div>}
+            {frame &&
+              frame.locals.map((local) => (
+                <div key={local.name} className="truncate" title={`${local.type}: ${local.value}`}>
+                  <span className="text-blue-700">{local.name}</span>
+                  <span className="text-gray-400"> = </span>
+                  <span className="text-gray-800">{local.value}</span>
+                </div>
+              ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Breakpoint Gutter Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array<number>} props.breakpoints - Breakpoint lines of the file shown in the editor
+ * @param {number|null} props.pausedLine - Line the shown file is paused on, or null
+ * @param {function} props.onToggle - Called with a 1-based line number when the margin is clicked
+ * @param {number} props.padding - Editor padding in px (the clickable margin)
+ * @param {number} props.lineHeight - Editor line height in px
+ * @param {number} [props.scrollTop=0] - Scroll offset of editors that scroll internally (textarea)
+ * @returns {JSX.Element} Absolutely positioned overlay; place it inside the editor's relative wrapper
+ */
+export const BreakpointGutter = ({ breakpoints, pausedLine, onToggle, padding, lineHeight, scrollTop = 0 }) => {
+  const handleClick = (e) => {
+    const y = e.clientY - e.currentTarget.getBoundingClientRect().top + scrollTop - padding;
+    if (y >= 0) onToggle(Math.floor(y / lineHeight) + 1);
+  };
+
+  return (
+    <>
+      {pausedLine && (
+        <div className="absolute inset-x-0 top-0 pointer-events-none overflow-hidden h-full">
+          <div
+            className="absolute inset-x-0 bg-yellow-200/60 border-l-2 border-yellow-500"
+            style={{ top: padding + (pausedLine - 1) * lineHeight - scrollTop, height: lineHeight }}
+          />
+        </div>
+      )}
+      <div
+        className="absolute left-0 top-0 h-full cursor-pointer overflow-hidden"
+        style={{ width: padding }}
+        onClick={handleClick}
+        title="Click to toggle a breakpoint"
+      >
+        {breakpoints.map((line) => (
+          <span
+            key={line}
+            className="absolute rounded-full bg-red-500"
+            style={{
+              left: padding / 2 - 4,
+              top: padding + (line - 1) * lineHeight - scrollTop + lineHeight / 2 - 4,
+              width: 8,
+              height: 8,
+            }}
+          />
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default DebuggerPanel;
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview EditorDiagnostics Components
+ *
+ * Shows the runner's parsed compiler/interpreter diagnostics
+ * ({ file, line, column, severity, message }) on top of a plain code editor.
+ * Features include:
+ * - Gutter markers with the message as tooltip
+ * - Wavy underlines from the reported column to the end of the line
+ * - A clickable problems list that jumps to the line
+ *
+ * The overlay positions itself from line height and character width, so the
+ * editor it covers must use a monospace font with a fixed pixel line height.
+ */
+
+import React from "react";
+
+const SEVERITY_COLORS = {
+  error: "#ef4444",
+  warning: "#f59e0b",
+  info: "#3b82f6",
+};
+
+const SEVERITY_ICONS = {
+  error: "✖",
+  warning: "⚠",
+  info: "ℹ",
+};
+
+const TAB_SIZE = 8; // Browser default tab width in textareas
+
+// Wavy underline drawn as a repeating SVG so it can be placed at any offset
+const squiggle = (color) =>
+  `url("data:image/svg+xml;charset=UTF-8,${encodeURIComponent(
+    `<svg xmlns='http://www.w3.org/2000/svg' width='6' height='3'><path d='M0 2 L1.5 0.5 L3 2 L4.5 0.5 L6 2' fill='none' stroke='${color}' stroke-width='1'/></svg>`
+  )}")`;
+
+// Visual width in characters of a line prefix, with tabs expanded
+const visualWidth = (text) =>
+  text.split("").reduce((width, ch) => (ch === "\t" ? width + TAB_SIZE - (width % TAB_SIZE) : width + 1), 0);
+
+/**
+ * Diagnostics Overlay Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array} props.diagnostics - Diagnostics of the file shown in the editor
+ * @param {string} props.code - Editor content
+ * @param {number} props.padding - Editor padding in px
+ * @param {number} props.lineHeight - Editor line height in px
+ * @param {number} [props.scrollTop=0] - Scroll offset of editors that scroll internally (textarea)
+ * @returns {JSX.Element} Absolutely positioned overlay; place it inside the editor's relative
+ *   wrapper, which also clips it
+ *
+ * @example
+ * <div className="relative">
+ *   <textarea ... />
+ *   <DiagnosticsOverlay diagnostics={diagnostics} code={code} padding={16} lineHeight={21} />
+ * </div>
+ */
+const DiagnosticsOverlay = ({ diagnostics, code, padding, lineHeight, scrollTop = 0 }) => {
+  const lines = code.split("\n");
+
+  return (
+    <div className="absolute inset-x-0 top-0 pointer-events-none">
+      <div style={{ transform: `translateY(${-scrollTop}px)` }}>
+        {diagnostics.map((diagnostic, idx) => {
+          const text = lines[diagnostic.line - 1];
+          if (text === undefined) return null;
+
+          // Without a column, underline the line from its first non-blank character
+          const startIndex = diagnostic.column
+            ? Math.min(diagnostic.column - 1, text.length)
+            : text.length - text.trimStart().length;
+          const start = visualWidth(text.slice(0, startIndex));
+          const width = Math.max(1, visualWidth(text) - start);
+          const top = padding + (diagnostic.line - 1) * lineHeight;
+          const color = SEVERITY_COLORS[diagnostic.severity] || SEVERITY_COLORS.error;
+
+          return (
+            <React.Fragment key={idx}>
+              {/* Gutter marker */}
+              <span
+                title={diagnostic.message}
+                className="absolute rounded-full pointer-events-auto cursor-help"
+                style={{
+                  top: top + lineHeight / 2 - 3,
+                  left: Math.max(0, padding / 2 - 3),
+                  width: 6,
+                  height: 6,
+                  backgroundColor: color,
+                }}
+              />
+              {/* Squiggle */}
+              <span
+                title={diagnostic.message}
+                className="absolute pointer-events-auto"
+                style={{
+                  top: top + lineHeight - 4,
+                  left: `calc(${padding}px + ${start}ch)`,
+                  width: `${width}ch`,
+                  height: 4,
+                  backgroundImage: squiggle(color),
+                  backgroundRepeat: "repeat-x",
+                }}
+              />
+            </React.Fragment>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Problems List Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array} props.diagnostics - Diagnostics of every file
+ * @param {Function} props.onSelect - Called with the clicked diagnostic
+ * @returns {JSX.Element|null} List of problems, or null if there are none
+ */
+export const ProblemsList = ({ diagnostics, onSelect }) => {
+  if (!diagnostics.length) return null;
+
+  return (
+    <div className="border-t border-gray-200 bg-white max-h-32 overflow-auto text-xs flex-shrink-0">
+      <div className="px-2 py-1 font-medium text-gray-500 uppercase tracking-wide">
+        Problems ({diagnostics.length})
+      </div>
+      {diagnostics.map((diagnostic, idx) => (
+        <button
+          key={idx}
+          onClick={() => onSelect(diagnostic)}
+          className="w-full text-left px-2 py-0.5 hover:bg-gray-100 flex gap-2 items-baseline"
+        >
+          <span style={{ color: SEVERITY_COLORS[diagnostic.severity] || SEVERITY_COLORS.error }}>
+            {SEVERITY_ICONS[diagnostic.severity] || SEVERITY_ICONS.error}
+          </span>
+          <span className="text-gray-500 whitespace-nowrap">
+            {diagnostic.file}:{diagnostic.line}
+            {diagnostic.column ? `:${diagnostic.column}` : ""}
+          </span>
+          <span className="text-gray-800 truncate">{diagnostic.message}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Moves the caret of a textarea to a diagnostic's position and scrolls it into view
+ *
+ * @param {HTMLTextAreaElement} textarea - Editor textarea
+ * @param {number} line - 1-based line
+ * @param {number|null} column - 1-based column, or null for the line start
+ */
+export const jumpToLine = (textarea, line, column) => {
+  if (!textarea) return;
+  const lines = textarea.value.split("\n");
+  const lineIndex = Math.min(line, lines.length) - 1;
+  const offset =
+    lines.slice(0, lineIndex).reduce((sum, text) => sum + text.length + 1, 0) +
+    Math.min((column || 1) - 1, lines[lineIndex].length);
+
+  textarea.focus();
+  textarea.setSelectionRange(offset, offset);
+
+  // Scroll the line to the middle of whatever scrolls: the textarea itself or its container
+  const lineHeight = parseFloat(window.getComputedStyle(textarea).lineHeight) || 20;
+  const scroller = textarea.scrollHeight > textarea.clientHeight ? textarea : textarea.closest(".overflow-y-auto");
+  if (scroller) {
+    scroller.scrollTop = Math.max(0, lineIndex * lineHeight - scroller.clientHeight / 2);
+  }
+};
+
+export default DiagnosticsOverlay;
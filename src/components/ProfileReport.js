@@ -0,0 +1,86 @@
+/**
+ * @fileoverview ProfileReport Component
+ *
+ * Shows the runner's profile of a run (run-exit `profile`): wall time, CPU
+ * user/sys time and peak memory, so different approaches to a problem can be
+ * compared. With several iterations each measurement is shown as
+ * min / median / max; a single run shows its plain values.
+ */
+
+import React from "react";
+
+// Measurements in display order: [profile key, label, unit]
+const MEASUREMENTS = [
+  ["wallMs", "Wall time", "ms"],
+  ["userTimeMs", "CPU user", "ms"],
+  ["sysTimeMs", "CPU sys", "ms"],
+  ["peakMemoryKb", "Peak memory", "KB"],
+];
+
+/**
+ * Formats a number for the table (medians of an even run count may be fractional)
+ *
+ * @param {number} value - Measured value
+ * @returns {string} Rounded value with thousands separators
+ */
+const formatValue = (value) => Math.round(value).toLocaleString();
+
+/**
+ * Profile Report Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.profile - profile from a run-exit payload
+ *   ({ iterations, runs, wallMs, userTimeMs, sysTimeMs, peakMemoryKb }; each statistic is
+ *   { min, median, max } or null when the runner could not measure it)
+ * @returns {JSX.Element} Measurement table
+ */
+const ProfileReport = ({ profile }) => {
+  const repeated = profile.iterations > 1;
+  return (
+    <div className="font-mono">
+      <div className="text-gray-400 mb-1">
+        ⏱ Profile ({profile.iterations} {repeated ? "runs" : "run"})
+      </div>
+      <table className="w-full text-left">
+        {repeated && (
+          <thead>
+            <tr className="text-gray-500">
+              <th className="font-normal"></th>
+              <th className="font-normal">min</th>
+              <th className="font-normal">median</th>
+              <th className="font-normal">max</th>
+            </tr>
+          </thead>
+        )}
+        <tbody>
+          {MEASUREMENTS.map(([key, label, unit]) => {
+            const stats = profile[key];
+            return (
+              <tr key={key}>
+                <td className="text-gray-400 pr-2">{label}</td>
+                {!stats ? (
+                  <td className="text-gray-500" colSpan={repeated ? 3 : 1}>
+                    n/a
+                  </td>
+                ) : repeated ? (
+                  ["min", "median", "max"].map((stat) => (
+                    <td key={stat} className="text-gray-200">
+                      {formatValue(stats[stat])} {unit}
+                    </td>
+                  ))
+                ) : (
+                  <td className="text-gray-200">
+                    {formatValue(stats.median)} {unit}
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ProfileReport;
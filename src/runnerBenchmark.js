@@ -0,0 +1,39 @@
+/**
+ * Runner Benchmark
+ * Runs a solution on inputs of increasing size (POST /benchmark) and returns
+ * the measured points with the complexity class that fits them best.
+ *
+ * Used by:
+ * - DSAProblemDetailPage benchmark panel
+ */
+
+import { C_RUNNER_BACKEND_SERVER_URL } from "./runnerSocket";
+
+/**
+ * Starts a benchmark and waits for its result
+ *
+ * @param {Object} request - Benchmark request
+ * @param {string} request.language - Language identifier of the solution
+ * @param {string} request.code - Solution source code
+ * @param {Object} [request.compilerOptions] - Compiler options of the solution
+ * @param {Array<number>} [request.sizes] - Input sizes, increasing (with generator)
+ * @param {Object} [request.generator] - { language, code } program that reads n and prints an input of size n
+ * @param {Array<Object>} [request.inputs] - Ready-made { size, input } pairs instead of a generator
+ * @param {number} [request.repetitions] - Runs per size (the fastest counts)
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object>} { verdict, points, complexity: { best, fits, curve } | null, error? }
+ * @throws {Error} If the runner rejected the request or could not be reached
+ */
+export const runBenchmark = async (request, signal) => {
+  const response = await fetch(`${C_RUNNER_BACKEND_SERVER_URL}/benchmark`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request),
+    signal,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Benchmark failed (HTTP ${response.status})`);
+  }
+  return data;
+};
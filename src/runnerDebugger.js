@@ -0,0 +1,107 @@
+/**
+ * Runner Debugger
+ * Step debugger sessions on the runner backend (Python and JavaScript): the
+ * program pauses at breakpoints and is stepped through over the shared runner
+ * socket. Every socket attached to a session sees the same pauses, so room
+ * participants can follow and drive one program together.
+ *
+ * Used by:
+ * - CollaborationRoom debugger panel
+ */
+
+import { getRunnerSocket } from "./runnerSocket";
+
+/**
+ * Subscribes to the events of one debug session and returns a handle to drive it
+ *
+ * @param {string} sessionId - Debug session identifier
+ * @param {Object} handlers - Callbacks, each receiving the event payload
+ * @param {function} [handlers.onAttached] - debug-attached state ({ breakpoints, paused }) after attachDebugSession
+ * @param {function} [handlers.onOutput] - debug-output chunk ({ stream, chunk })
+ * @param {function} [handlers.onPaused] - debug-paused location ({ reason, frames }, frames innermost first)
+ * @param {function} [handlers.onResumed] - debug-resumed
+ * @param {function} [handlers.onBreakpoints] - debug-breakpoints ({ breakpoints }) after anyone changed them
+ * @param {function} [handlers.onExit] - debug-exit ({ exitCode, signal, timedOut, truncated })
+ * @param {function} [handlers.onError] - debug-error (request rejected by the runner)
+ * @returns {Object} Session handle
+ */
+const subscribeToDebugSession = (sessionId, handlers) => {
+  const socket = getRunnerSocket();
+
+  // Only react to events that belong to this session
+  const forSession = (handler) => (data) => {
+    if (data.sessionId === sessionId && handler) handler(data);
+  };
+
+  const listeners = {
+    "debug-attached": forSession(handlers.onAttached),
+    "debug-output": forSession(handlers.onOutput),
+    "debug-paused": forSession(handlers.onPaused),
+    "debug-resumed": forSession(handlers.onResumed),
+    "debug-breakpoints": forSession(handlers.onBreakpoints),
+    "debug-exit": forSession((data) => {
+      stop();
+      handlers.onExit && handlers.onExit(data);
+    }),
+    "debug-error": forSession((data) => {
+      // Rejected commands (e.g. a bad breakpoint line) leave the session running
+      if (!data.active) stop();
+      handlers.onError && handlers.onError(data);
+    }),
+    // The runner is unreachable (e.g. still cold-starting), so the session never started
+    connect_error: (err) => {
+      stop();
+      handlers.onError &&
+        handlers.onError({ sessionId, error: `Could not reach the code runner: ${err.message}` });
+    },
+  };
+
+  const stop = () => {
+    Object.entries(listeners).forEach(([event, listener]) => socket.off(event, listener));
+  };
+
+  Object.entries(listeners).forEach(([event, listener]) => socket.on(event, listener));
+
+  return {
+    sessionId,
+    stop, // Stop listening for this session's events
+    command: (command) => socket.emit("debug-command", { sessionId, command }), // continue, stepOver, stepInto, stepOut
+    setBreakpoints: (file, lines) => socket.emit("debug-set-breakpoints", { sessionId, file, lines }),
+    end: () => socket.emit("debug-stop", { sessionId }),
+  };
+};
+
+/**
+ * Starts a debug session on the runner backend
+ *
+ * @param {Object} request - Debug request
+ * @param {string} request.language - Language identifier (a language with stepDebugger in GET /languages)
+ * @param {string} [request.code] - Source code of a single-file program
+ * @param {Object} [request.files] - Multi-file project (path -> contents), instead of code
+ * @param {string} [request.entry] - File to run in a multi-file project
+ * @param {string} [request.input] - Stdin for the program
+ * @param {Object} [request.breakpoints] - File path -> 1-based line numbers
+ * @param {boolean} [request.stopOnEntry] - Pause on the program's first line
+ * @param {Object} handlers - See subscribeToDebugSession
+ * @returns {Object} Session handle ({ sessionId, stop, command, setBreakpoints, end })
+ */
+export const startDebugSession = ({ language, code, files, entry, input = "", breakpoints = {}, stopOnEntry = false }, handlers) => {
+  const sessionId = `debug_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const handle = subscribeToDebugSession(sessionId, handlers);
+  getRunnerSocket().emit("debug-start", { sessionId, language, code, files, entry, input, breakpoints, stopOnEntry });
+  return handle;
+};
+
+/**
+ * Attaches to a debug session started by someone else (e.g. a room participant);
+ * onAttached receives its breakpoints and the current pause, if any
+ *
+ * @param {string} sessionId - Session identifier shared by the session's owner
+ * @param {Object} handlers - See subscribeToDebugSession
+ * @returns {Object} Session handle ({ sessionId, stop, command, setBreakpoints, end })
+ */
+export const attachDebugSession = (sessionId, handlers) => {
+  const handle = subscribeToDebugSession(sessionId, handlers);
+  getRunnerSocket().emit("debug-attach", { sessionId });
+  return handle;
+};
@@ -0,0 +1,133 @@
+/**
+ * Runner Languages
+ * Language registry served by the code runner (GET /languages), used to build
+ * the language pickers and pick the editor's Prism grammar, plus the list of
+ * importable packages (GET /packages).
+ *
+ * Used by:
+ * - DSAProblemDetailPage language picker
+ * - CollaborationRoom language picker
+ */
+
+import { useEffect, useState } from "react";
+import { C_RUNNER_BACKEND_SERVER_URL } from "./runnerSocket";
+
+// Shown until the runner answers (it may still be cold-starting); compiler options
+// and debug runs are only offered once the runner has sent its registry
+export const DEFAULT_LANGUAGES = [
+  { id: "c", name: "C", version: null, extension: "c", prism: "c" },
+  { id: "cpp", name: "C++", version: null, extension: "cpp", prism: "cpp" },
+  { id: "python", name: "Python", version: null, extension: "py", prism: "python" },
+  { id: "javascript", name: "JavaScript", version: null, extension: "js", prism: "javascript" },
+  { id: "java", name: "Java", version: null, extension: "java", prism: "java" },
+  { id: "go", name: "Go", version: null, extension: "go", prism: "go" },
+  { id: "rust", name: "Rust", version: null, extension: "rs", prism: "rust" },
+  { id: "typescript", name: "TypeScript", version: null, extension: "ts", prism: "typescript" },
+  { id: "ruby", name: "Ruby", version: null, extension: "rb", prism: "ruby" },
+  { id: "kotlin", name: "Kotlin", version: null, extension: "kt", prism: "kotlin" },
+];
+
+// Fetched once per page load and shared by every picker
+let languagesPromise = null;
+
+/**
+ * Fetches the language registry from the runner
+ *
+ * @returns {Promise<Array>} Languages ({ id, name, version, extension, prism, compilerOptions, debugRun })
+ */
+export const fetchLanguages = () => {
+  if (!languagesPromise) {
+    languagesPromise = fetch(`${C_RUNNER_BACKEND_SERVER_URL}/languages`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((data) => data.languages)
+      .catch((err) => {
+        languagesPromise = null; // Retry on the next mount
+        throw err;
+      });
+  }
+  return languagesPromise;
+};
+
+/**
+ * React hook returning the runner's languages, falling back to
+ * DEFAULT_LANGUAGES while loading or when the runner is unreachable
+ *
+ * @returns {Array} Languages ({ id, name, version, extension, prism, compilerOptions, debugRun })
+ */
+export const useRunnerLanguages = () => {
+  const [languages, setLanguages] = useState(DEFAULT_LANGUAGES);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchLanguages()
+      .then((list) => {
+        if (!cancelled && list && list.length) setLanguages(list);
+      })
+      .catch((err) => console.error("Failed to load runner languages:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return languages;
+};
+
+// Allowlisted packages, fetched once like the language list
+let packagesPromise = null;
+
+/**
+ * Fetches the packages user programs can import (GET /packages)
+ *
+ * @returns {Promise<Array>} Packages ({ language, name, version, imports, installed })
+ */
+export const fetchPackages = () => {
+  if (!packagesPromise) {
+    packagesPromise = fetch(`${C_RUNNER_BACKEND_SERVER_URL}/packages`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((data) => data.packages)
+      .catch((err) => {
+        packagesPromise = null; // Retry on the next mount
+        throw err;
+      });
+  }
+  return packagesPromise;
+};
+
+/**
+ * React hook returning the installed packages importable from a language
+ *
+ * @param {string} language - Language id
+ * @returns {Array} Packages ({ language, name, version, imports, installed }); empty while loading
+ */
+export const useRunnerPackages = (language) => {
+  const [packages, setPackages] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchPackages()
+      .then((list) => {
+        if (!cancelled) setPackages(list);
+      })
+      .catch((err) => console.error("Failed to load runner packages:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return packages.filter((pkg) => pkg.language === language && pkg.installed);
+};
+
+/**
+ * Option label for a language picker, e.g. "Python (Python 3.11.7)"
+ *
+ * @param {Object} lang - Language entry
+ * @returns {string} Display label
+ */
+export const languageLabel = (lang) =>
+  lang.version ? `${lang.name} (${lang.version})` : lang.name;
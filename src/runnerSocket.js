@@ -0,0 +1,178 @@
+/**
+ * Runner Socket
+ * Shared Socket.IO connection to the code runner backend, used to stream
+ * program output while it runs instead of waiting for the HTTP response.
+ *
+ * Used by:
+ * - DSAProblemDetailPage terminal
+ * - CollaborationRoom terminal
+ */
+
+import io from "socket.io-client";
+
+// Define the base URL for the c-runner-backend server
+export const C_RUNNER_BACKEND_SERVER_URL = "https://collab-coding-app-c-runner-backend.onrender.com";
+
+// Created on first use so pages that never run code don't open a connection
+let runnerSocket = null;
+
+export const getRunnerSocket = () => {
+  if (!runnerSocket) {
+    runnerSocket = io(C_RUNNER_BACKEND_SERVER_URL, {
+      transports: ["websocket", "polling"],
+    });
+  }
+  return runnerSocket;
+};
+
+/**
+ * Subscribes to the events of one run and returns a handle to control it
+ *
+ * @param {string} runId - Run identifier
+ * @param {Object} handlers - Callbacks, each receiving the event payload
+ * @param {function} [handlers.onQueued] - run-queued position while waiting for a free runner worker
+ * @param {function} [handlers.onDequeued] - run-dequeued once a worker picked the run up
+ * @param {function} [handlers.onStdout] - run-stdout chunk
+ * @param {function} [handlers.onStderr] - run-stderr chunk
+ * @param {function} [handlers.onStdin] - run-stdin echo of input typed by any participant
+ * @param {function} [handlers.onExit] - run-exit structured result (exitCode, signal, phase, verdict, timings, peakMemoryKb, profile, ...)
+ * @param {function} [handlers.onError] - run-error (request rejected by the runner)
+ * @param {string} [userName] - Name the runner binds to a new connection when re-attaching
+ * @returns {Object} Run handle
+ */
+const subscribeToRun = (runId, handlers, userName) => {
+  const socket = getRunnerSocket();
+
+  // Only react to events that belong to this run
+  const forRun = (handler) => (data) => {
+    if (data.runId === runId && handler) handler(data);
+  };
+
+  const listeners = {
+    "run-queued": forRun(handlers.onQueued),
+    "run-dequeued": forRun(handlers.onDequeued),
+    "run-stdout": forRun(handlers.onStdout),
+    "run-stderr": forRun(handlers.onStderr),
+    "run-stdin": forRun(handlers.onStdin),
+    "run-exit": forRun((data) => {
+      stop();
+      handlers.onExit && handlers.onExit(data);
+    }),
+    "run-error": forRun((data) => {
+      stop();
+      handlers.onError && handlers.onError(data);
+    }),
+    // Socket.IO keeps retrying (e.g. while the runner cold-starts) and sends the run once it
+    // connects; only a connection it gives up on (socket.active is false) ends the run
+    connect_error: (err) => {
+      if (!socket.active) abort(err);
+    },
+    disconnect: () => {
+      disconnected = true;
+    },
+    // Follow the run again on the new connection. The runner keeps a disconnected socket's runs
+    // going for a while and hands them over on run-attach; it answers run-error if the run ended.
+    connect: () => {
+      if (disconnected && !socket.recovered) socket.emit("run-attach", { runId, userName });
+      disconnected = false;
+    },
+  };
+
+  let disconnected = false;
+
+  const abort = (err) => {
+    stop();
+    handlers.onError &&
+      handlers.onError({ runId, error: `Could not reach the code runner: ${err ? err.message : "reconnection failed"}` });
+  };
+
+  const stop = () => {
+    Object.entries(listeners).forEach(([event, listener]) => socket.off(event, listener));
+    socket.io.off("reconnect_failed", abort);
+  };
+
+  Object.entries(listeners).forEach(([event, listener]) => socket.on(event, listener));
+  // Every reconnection attempt failed (only with a limited reconnectionAttempts)
+  socket.io.on("reconnect_failed", abort);
+
+  return {
+    runId,
+    stop, // Stop listening for this run's events
+    sendInput: (data) => socket.emit("run-stdin", { runId, data }),
+    closeInput: () => socket.emit("run-stdin-eof", { runId }),
+    kill: () => socket.emit("run-kill", { runId }),
+  };
+};
+
+/**
+ * Starts a streaming run on the runner backend
+ *
+ * @param {Object} request - Run request
+ * @param {string} request.language - Language identifier (c, cpp, python, ...)
+ * @param {string} [request.code] - Source code of a single-file program
+ * @param {Object} [request.files] - Multi-file project (path -> contents), instead of code
+ * @param {string} [request.entry] - File to run in a multi-file project
+ * @param {Object} [request.compilerOptions] - Compiler options (see the language's compilerOptions schema)
+ * @param {string} [request.input] - Stdin for the program
+ * @param {boolean} [request.interactive] - Keep stdin open for sendInput()
+ * @param {boolean} [request.debug] - Debug run: sanitizer build whose crashes come with a crashReport (C/C++)
+ * @param {boolean} [request.profile] - Add timing and memory statistics (profile) to the run-exit payload
+ * @param {number} [request.iterations] - Runs measured for the profile (not streamed), including the first
+ * @param {string} [request.roomId] - Collaboration room the runner reports the run's start, progress and result to
+ * @param {string} [request.roomTicket] - Membership ticket of that room (get-room-ticket on the socket server); without it the run is not published
+ * @param {string} [request.userName] - Name shown next to input typed from this connection
+ * @param {Object} handlers - See subscribeToRun
+ * @returns {Object} Run handle ({ runId, stop, sendInput, closeInput, kill })
+ */
+export const streamRun = (
+  {
+    language,
+    code,
+    files,
+    entry,
+    compilerOptions,
+    input = "",
+    interactive = false,
+    debug = false,
+    profile = false,
+    iterations,
+    roomId,
+    roomTicket,
+    userName,
+  },
+  handlers
+) => {
+  const runId = `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const handle = subscribeToRun(runId, handlers, userName);
+  getRunnerSocket().emit("run-code", {
+    runId,
+    language,
+    code,
+    files,
+    entry,
+    compilerOptions,
+    input,
+    interactive,
+    debug,
+    profile,
+    iterations,
+    roomId,
+    roomTicket,
+    userName,
+  });
+  return handle;
+};
+
+/**
+ * Attaches to a run started by someone else (e.g. a room participant)
+ *
+ * @param {string} runId - Run identifier shared by the run's owner
+ * @param {Object} handlers - See subscribeToRun
+ * @param {string} [userName] - Name shown next to input typed from this connection
+ * @returns {Object} Run handle ({ runId, stop, sendInput, closeInput, kill })
+ */
+export const attachRun = (runId, handlers, userName) => {
+  const handle = subscribeToRun(runId, handlers, userName);
+  getRunnerSocket().emit("run-attach", { runId, userName });
+  return handle;
+};